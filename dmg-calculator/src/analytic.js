@@ -0,0 +1,441 @@
+// Analytic: Exact expected values of the per-hit combat model, computed without random sampling.
+
+import {
+    compileCombatProfile,
+    getEatingThreshold,
+    eatWithPolicy,
+    eatBeforeFight,
+    MIN_HEALTH_TO_FIGHT,
+    MONTE_CARLO_MAX_TICKS,
+    REPORTED_PERCENTILES,
+    calculateStatDetails,
+    getPillEffect,
+    getPillSchedule,
+    getItemDurability
+} from './calculator.js';
+import { EATING_POLICIES, DEFAULT_EATING_POLICY } from './state.js';
+
+const RANDOM_FACTOR_MIN = 0.9;
+const RANDOM_FACTOR_MAX = 1.1;
+// Composite Gauss-Legendre quadrature over the random factor range. Stats are rounded to one
+// decimal, so the integrand is piecewise constant; many small panels keep the error negligible.
+const QUADRATURE_PANELS = 40;
+const GAUSS_NODES = [-0.9061798459386640, -0.5384693101056831, 0, 0.5384693101056831, 0.9061798459386640];
+const GAUSS_WEIGHTS = [0.2369268850561891, 0.4786286704993665, 0.5688888888888889, 0.4786286704993665, 0.2369268850561891];
+// Resolution of the total damage distribution (percentiles are accurate to one bin)
+const DAMAGE_HISTOGRAM_BINS = 4096;
+// Above this many health/hunger states per hit the fight is left to the Monte Carlo simulation
+const MAX_CHAIN_STATES = 50000;
+// Min/max ignore outcomes rarer than one fight in a billion, which a simulation would never show
+const NEGLIGIBLE_PROBABILITY = 1e-9;
+
+function toProbability(percent) {
+    return Math.min(Math.max(percent, 0), 100) / 100;
+}
+
+/**
+ * Lists the possible damage values of a single hit as [probability, damage] pairs.
+ */
+function getDamageOutcomes(profile) {
+    const hitChance = toProbability(profile.precision);
+    const critChance = toProbability(profile.criticalChance);
+    const { damage } = profile;
+    return [
+        [hitChance * (1 - critChance), damage.hit],
+        [(1 - hitChance) * (1 - critChance), damage.miss],
+        [hitChance * critChance, damage.criticalHit],
+        [(1 - hitChance) * critChance, damage.criticalMiss]
+    ];
+}
+
+/**
+ * Lists the health lost by a single hit as [probability, health lost] pairs: dodged, normal and critical opponent hit.
+ * When the opponent's damage has a spread, the values are the average of each case.
+ */
+function getHealthLostOutcomes(profile) {
+    const dodgeChance = toProbability(profile.dodge);
+    const { incoming } = profile;
+    const critChance = toProbability(incoming.criticalChance);
+    const healthLost = (multiplier, roundedValue) => incoming.spread === 0
+        ? roundedValue
+        : incoming.damagePerHit * multiplier * (1 - incoming.effectiveArmor / 100);
+    return [
+        [dodgeChance, 0],
+        [(1 - dodgeChance) * (1 - critChance), healthLost(1, profile.healthLostPerHit)],
+        [(1 - dodgeChance) * critChance, healthLost(incoming.critMultiplier, incoming.criticalHealthLost)]
+    ];
+}
+
+/**
+ * Moments of the loot of a single hit: the chance it drops anything, and the
+ * mean and second moment of the value it drops (0 when nothing drops).
+ */
+function calculateLootMoments(profile) {
+    const { loot } = profile;
+    if (!loot || loot.totalWeight <= 0) return { dropChance: 0, expectedValue: 0, expectedValueSquared: 0, itemShares: {} };
+    const eligibleChance = { any: 1, hit: toProbability(profile.precision), critical: toProbability(profile.criticalChance) }[loot.dropsOn] ?? 1;
+    const dropChance = eligibleChance * toProbability(loot.chance);
+    const itemShares = {};
+    let meanValue = 0;
+    let meanValueSquared = 0;
+    for (const item of loot.items) {
+        const share = item.weight / loot.totalWeight;
+        itemShares[item.code] = (itemShares[item.code] || 0) + share;
+        meanValue += share * (item.value || 0);
+        meanValueSquared += share * (item.value || 0) ** 2;
+    }
+    return { dropChance, expectedValue: dropChance * meanValue, expectedValueSquared: dropChance * meanValueSquared, itemShares };
+}
+
+/**
+ * Computes the exact first and second moments of a single hit for a compiled profile,
+ * mirroring the rolls in rollCombatTick (miss halves damage, crit multiplies it, dodge avoids health loss).
+ * With opponent damage spread, health lost ignores the rounding to one decimal of each hit.
+ * @param {object} profile - The combat profile (see compileCombatProfile).
+ * @returns {object} Expected damage per hit and its variance, expected health lost per hit and its variance.
+ */
+export function calculateHitMoments(profile) {
+    const outcomes = getDamageOutcomes(profile);
+    const expectedDamage = outcomes.reduce((acc, [p, value]) => acc + p * value, 0);
+    const expectedDamageSquared = outcomes.reduce((acc, [p, value]) => acc + p * value * value, 0);
+    // A uniform spread of ±s multiplies the second moment by 1 + s²/3
+    const spreadFactor = 1 + profile.incoming.spread ** 2 / 3;
+    const healthLostOutcomes = getHealthLostOutcomes(profile);
+    const expectedHealthLost = healthLostOutcomes.reduce((acc, [p, value]) => acc + p * value, 0);
+    const expectedHealthLostSquared = healthLostOutcomes.reduce((acc, [p, value]) => acc + p * value * value * spreadFactor, 0);
+
+    return {
+        expectedDamage,
+        damageVariance: Math.max(0, expectedDamageSquared - expectedDamage * expectedDamage),
+        expectedHealthLost,
+        healthLostVariance: Math.max(0, expectedHealthLostSquared - expectedHealthLost * expectedHealthLost)
+    };
+}
+
+/**
+ * Computes the exact per-hit statistics of a build, integrated over the 0.9-1.1 skill random factor.
+ * The variance includes the spread caused by the random factor itself.
+ * @param {object} build - The build to analyze (see createBuild).
+ * @param {number} [randomFactor] - Also returns the moments at this factor, e.g. the one a Monte Carlo analysis used.
+ * @param {object} [options]
+ * @param {object} [options.opponent] - The opponent fought (see OPPONENT_PROFILES).
+ * @returns {object} Integrated moments plus `atFactor` (moments at the given factor, or null).
+ */
+export function calculateAnalyticHitStats(build, randomFactor, { opponent } = {}) {
+    const panelWidth = (RANDOM_FACTOR_MAX - RANDOM_FACTOR_MIN) / QUADRATURE_PANELS;
+    let expectedDamage = 0;
+    let expectedDamageSquared = 0;
+    let expectedHealthLost = 0;
+    let expectedHealthLostSquared = 0;
+
+    for (let panel = 0; panel < QUADRATURE_PANELS; panel++) {
+        const center = RANDOM_FACTOR_MIN + (panel + 0.5) * panelWidth;
+        GAUSS_NODES.forEach((node, i) => {
+            // Weights are normalized so they sum to 1 over the whole range (uniform density)
+            const weight = GAUSS_WEIGHTS[i] / 2 / QUADRATURE_PANELS;
+            const moments = calculateHitMoments(compileCombatProfile(build, center + node * panelWidth / 2, { opponent }));
+            expectedDamage += weight * moments.expectedDamage;
+            expectedDamageSquared += weight * (moments.damageVariance + moments.expectedDamage ** 2);
+            expectedHealthLost += weight * moments.expectedHealthLost;
+            expectedHealthLostSquared += weight * (moments.healthLostVariance + moments.expectedHealthLost ** 2);
+        });
+    }
+
+    return {
+        expectedDamage,
+        damageVariance: Math.max(0, expectedDamageSquared - expectedDamage ** 2),
+        expectedHealthLost,
+        healthLostVariance: Math.max(0, expectedHealthLostSquared - expectedHealthLost ** 2),
+        atFactor: randomFactor === undefined ? null : calculateHitMoments(compileCombatProfile(build, randomFactor, { opponent }))
+    };
+}
+
+function roundToTenth(value) {
+    return parseFloat(value.toFixed(1));
+}
+
+/**
+ * Smallest value whose cumulative probability reaches each reported percentile.
+ * @param {ArrayLike<number>} probabilities - Probability of each index.
+ * @param {function(number): number} valueAt - Maps an index to its value.
+ * @returns {object} Percentiles keyed as p10, p25, p50, p75 and p90.
+ */
+function calculateDistributionPercentiles(probabilities, valueAt) {
+    const percentiles = {};
+    let cumulative = 0;
+    let index = 0;
+    REPORTED_PERCENTILES.forEach(percentile => {
+        // A tiny tolerance keeps float error from skipping past an exact boundary
+        while (index < probabilities.length - 1 && cumulative + probabilities[index] < percentile / 100 - 1e-12) {
+            cumulative += probabilities[index];
+            index++;
+        }
+        percentiles[`p${percentile}`] = roundToTenth(valueAt(index));
+    });
+    return percentiles;
+}
+
+/**
+ * Values at the first and last index whose probability isn't negligible.
+ */
+function calculateDistributionRange(probabilities, valueAt) {
+    let first = 0;
+    let last = probabilities.length - 1;
+    while (first < last && probabilities[first] < NEGLIGIBLE_PROBABILITY) first++;
+    while (last > first && probabilities[last] < NEGLIGIBLE_PROBABILITY) last--;
+    return { min: roundToTenth(valueAt(first)), max: roundToTenth(valueAt(last)) };
+}
+
+/**
+ * Walks the health/hunger states of a fight hit by hit and returns the exact probability
+ * of it lasting each number of hits, split by end reason.
+ * @param {Array<number>} [hungerDrain] - Hunger drained after each hit (see getPillSchedule), none if omitted.
+ * @returns {object|null} Hit probabilities, end reason probabilities and expected food eaten,
+ *   or null if the state space is too large.
+ */
+function solveHitsDistribution(profile, healthPerFood, eatingPolicy, hungerDrain = null) {
+    const healthLostOutcomes = getHealthLostOutcomes(profile).filter(([probability]) => probability > 0);
+    const weaponDurability = profile.startDurability.weapon;
+    const ticksProbabilities = new Array(Math.max(0, Math.min(weaponDurability, MONTE_CARLO_MAX_TICKS)) + 1).fill(0);
+    const endReasonProbabilities = { no_health: 0, weapon_broken: 0, max_ticks: 0 };
+    const eatingThreshold = getEatingThreshold(eatingPolicy, profile.maxHealth);
+    let expectedFoodEaten = 0;
+    // Every hunger point used, but the ones a pill drained, is one food item eaten
+    const endFight = (reason, ticks, hunger, drained, probability) => {
+        endReasonProbabilities[reason] += probability;
+        ticksProbabilities[ticks] += probability;
+        expectedFoodEaten += (profile.startHunger - hunger - drained) * probability;
+    };
+    // States are keyed by the exact float health the simulation reaches, so rounding matches it too
+    const addState = (states, health, hunger, drained, probability) => {
+        if (probability <= 0) return;
+        const key = `${health}|${hunger}|${drained}`;
+        const state = states.get(key);
+        if (state) state.probability += probability;
+        else states.set(key, { health, hunger, drained, probability });
+    };
+
+    let states = new Map();
+    const start = eatBeforeFight(eatingPolicy, profile.startHealth, profile.startHunger, profile.maxHealth, healthPerFood);
+    addState(states, start.health, start.hunger, 0, 1);
+
+    // Same checks, in the same order, as one iteration of the simulation loop
+    for (let tick = 0; states.size > 0; tick++) {
+        const nextStates = new Map();
+        for (const state of states.values()) {
+            if (tick >= MONTE_CARLO_MAX_TICKS) {
+                endFight('max_ticks', tick, state.hunger, state.drained, state.probability);
+                continue;
+            }
+            if (tick >= weaponDurability) {
+                endFight('weapon_broken', tick, state.hunger, state.drained, state.probability);
+                continue;
+            }
+            let { health, hunger } = state;
+            const { drained } = state;
+            if (health <= eatingThreshold) {
+                ({ health, hunger } = eatWithPolicy(eatingPolicy, health, hunger, profile.maxHealth, healthPerFood));
+            }
+            if (health < MIN_HEALTH_TO_FIGHT) {
+                endFight('no_health', tick, hunger, drained, state.probability);
+                continue;
+            }
+
+            const hungerAfterHit = Math.max(0, hunger - (hungerDrain?.[tick] || 0));
+            for (const [probability, healthLost] of healthLostOutcomes) {
+                const healthAfterHit = health - healthLost;
+                if (healthAfterHit <= 0) {
+                    endFight('no_health', tick + 1, hunger, drained, state.probability * probability);
+                } else {
+                    addState(nextStates, healthAfterHit, hungerAfterHit, drained + hunger - hungerAfterHit, state.probability * probability);
+                }
+            }
+        }
+        if (nextStates.size > MAX_CHAIN_STATES) return null;
+        states = nextStates;
+    }
+
+    return { ticksProbabilities, endReasonProbabilities, expectedFoodEaten };
+}
+
+/**
+ * Mixes the n-hit damage sums by the probability of the fight lasting n hits.
+ * Hit damage doesn't depend on health, so the sums are repeated convolutions of one hit.
+ * Each damage value is split between its two nearest bins, which keeps the mean exact.
+ * @returns {object} Bin width and the probability of each damage bin.
+ */
+function buildDamageHistogram(outcomes, ticksProbabilities, maxHits) {
+    const maxDamage = maxHits * Math.max(0, ...outcomes.map(([, value]) => value));
+    const binWidth = maxDamage > 0 ? maxDamage / (DAMAGE_HISTOGRAM_BINS - 1) : 1;
+    const probabilities = new Float64Array(DAMAGE_HISTOGRAM_BINS);
+    let sums = new Float64Array(DAMAGE_HISTOGRAM_BINS);
+    sums[0] = 1;
+    let highestBin = 0;
+    probabilities[0] += ticksProbabilities[0];
+
+    for (let hits = 1; hits <= maxHits; hits++) {
+        const nextSums = new Float64Array(DAMAGE_HISTOGRAM_BINS);
+        for (const [probability, value] of outcomes) {
+            const position = value / binWidth;
+            const offset = Math.floor(position);
+            const fraction = position - offset;
+            for (let bin = 0; bin <= highestBin; bin++) {
+                if (sums[bin] === 0) continue;
+                const mass = sums[bin] * probability;
+                const lower = Math.min(bin + offset, DAMAGE_HISTOGRAM_BINS - 1);
+                nextSums[lower] += mass * (1 - fraction);
+                nextSums[Math.min(lower + 1, DAMAGE_HISTOGRAM_BINS - 1)] += mass * fraction;
+            }
+        }
+        sums = nextSums;
+        highestBin = Math.min(Math.ceil(hits * maxDamage / maxHits / binWidth) + 1, DAMAGE_HISTOGRAM_BINS - 1);
+        const hitsProbability = ticksProbabilities[hits];
+        if (hitsProbability > 0) {
+            for (let bin = 0; bin <= highestBin; bin++) probabilities[bin] += sums[bin] * hitsProbability;
+        }
+    }
+
+    return { binWidth, probabilities };
+}
+
+/**
+ * Computes the exact distribution of a full fight (hits survived, total damage and end reason)
+ * by walking its health/hunger state space instead of sampling it.
+ * @param {object} build - The build to analyze (see createBuild).
+ * @param {object} foodItem - The food item eaten when health runs low.
+ * @param {number} randomFactor - Skill random factor, e.g. the one a Monte Carlo analysis used.
+ * @param {object} [options]
+ * @param {object} [options.opponent] - The opponent fought (see OPPONENT_PROFILES).
+ * @param {object} [options.lootTable] - Loot rolled on each hit (see LOOT_TABLES).
+ * @param {object} [options.eatingPolicy] - When food is eaten (see EATING_POLICIES).
+ * @returns {object|null} Same shape as runMonteCarloSimulation, with the full distribution instead of histograms
+ *   and samples, or null when the fight can't be solved exactly (opponent damage spread, a pill that wears off,
+ *   or too many states).
+ *   Food and loot only report expected values per fight.
+ */
+export function calculateExactFightDistribution(build, foodItem, randomFactor, { opponent, lootTable, eatingPolicy = EATING_POLICIES[DEFAULT_EATING_POLICY] } = {}) {
+    const startedAt = performance.now();
+    const profile = compileCombatProfile(build, randomFactor, { opponent, lootTable });
+    // A continuous damage spread would give every fight its own health values
+    if (profile.incoming.spread > 0) return null;
+    // A pill that wears off changes the damage (and hunger) from hit to hit
+    if (getPillEffect(build.activeBuffs.consumable)) return null;
+    const chain = solveHitsDistribution(profile, foodItem?.flatStats?.healthRegen || 0, eatingPolicy);
+    if (!chain) return null;
+
+    const { ticksProbabilities, endReasonProbabilities, expectedFoodEaten } = chain;
+    const maxHits = ticksProbabilities.findLastIndex(probability => probability > 0);
+    const hitsMean = ticksProbabilities.reduce((acc, probability, hits) => acc + probability * hits, 0);
+    const hitsVariance = Math.max(0, ticksProbabilities.reduce((acc, probability, hits) => acc + probability * hits * hits, 0) - hitsMean ** 2);
+
+    // Total damage is a random sum: its moments follow from the hit moments and the number of hits
+    const outcomes = getDamageOutcomes(profile).filter(([probability]) => probability > 0);
+    const { expectedDamage, damageVariance } = calculateHitMoments(profile);
+    const damageMean = hitsMean * expectedDamage;
+    const totalDamageVariance = hitsMean * damageVariance + hitsVariance * expectedDamage ** 2;
+    const damageHistogram = buildDamageHistogram(outcomes, ticksProbabilities, maxHits);
+    // Loot is a random sum too, with one draw per hit
+    const loot = calculateLootMoments(profile);
+    const lootItemsPerFight = {};
+    for (const code in loot.itemShares) lootItemsPerFight[code] = hitsMean * loot.dropChance * loot.itemShares[code];
+    const lootValueVariance = hitsMean * (loot.expectedValueSquared - loot.expectedValue ** 2) + hitsVariance * loot.expectedValue ** 2;
+    const lootDropsVariance = hitsMean * loot.dropChance * (1 - loot.dropChance) + hitsVariance * loot.dropChance ** 2;
+    const damagePercentiles = calculateDistributionPercentiles(damageHistogram.probabilities, bin => bin * damageHistogram.binWidth);
+    const hitsPercentiles = calculateDistributionPercentiles(ticksProbabilities, hits => hits);
+
+    return {
+        damageStats: {
+            mean: roundToTenth(damageMean),
+            ...calculateDistributionRange(damageHistogram.probabilities, bin => bin * damageHistogram.binWidth),
+            stdDev: roundToTenth(Math.sqrt(totalDamageVariance)),
+            median: damagePercentiles.p50,
+            percentiles: damagePercentiles
+        },
+        ticksStats: {
+            mean: roundToTenth(hitsMean),
+            ...calculateDistributionRange(ticksProbabilities, hits => hits),
+            stdDev: roundToTenth(Math.sqrt(hitsVariance)),
+            median: hitsPercentiles.p50,
+            percentiles: hitsPercentiles
+        },
+        foodStats: { mean: roundToTenth(expectedFoodEaten) },
+        endReasonStats: {
+            byHealth: endReasonProbabilities.no_health * 100,
+            byWeapon: endReasonProbabilities.weapon_broken * 100,
+            byMaxTicks: endReasonProbabilities.max_ticks * 100,
+        },
+        lootStats: {
+            drops: { mean: roundToTenth(hitsMean * loot.dropChance), stdDev: roundToTenth(Math.sqrt(Math.max(0, lootDropsVariance))) },
+            value: { mean: roundToTenth(hitsMean * loot.expectedValue), stdDev: roundToTenth(Math.sqrt(Math.max(0, lootValueVariance))) },
+            itemsPerFight: lootItemsPerFight
+        },
+        distribution: {
+            ticks: ticksProbabilities,
+            damage: { binWidth: damageHistogram.binWidth, probabilities: Array.from(damageHistogram.probabilities) }
+        },
+        randomFactor,
+        elapsedMs: performance.now() - startedAt
+    };
+}
+
+/**
+ * Exact expected length of a full fight (hits survived and food eaten), without the damage distribution.
+ * Much cheaper than calculateExactFightDistribution, for searches that compare many builds.
+ * A pill that wears off (with as many pills as it takes) only changes the damage, and the hunger
+ * its aftereffect drains; the expected hits dealt in each of its states are returned for the damage.
+ * @param {object} build - The build to analyze (see createBuild).
+ * @param {object} foodItem - The food item eaten when health runs low.
+ * @param {number} randomFactor - Skill random factor.
+ * @param {object} [options]
+ * @param {object} [options.opponent] - The opponent fought (see OPPONENT_PROFILES).
+ * @param {object} [options.eatingPolicy] - When food is eaten (see EATING_POLICIES).
+ * @returns {object|null} Expected hits, food eaten and, for a pill that wears off, hits by pill state
+ *   (see getPillSchedule), or null when the fight can't be solved exactly.
+ */
+export function calculateExpectedFightLength(build, foodItem, randomFactor, { opponent, eatingPolicy = EATING_POLICIES[DEFAULT_EATING_POLICY] } = {}) {
+    const profile = compileCombatProfile(build, randomFactor, { opponent });
+    if (profile.incoming.spread > 0) return null;
+    const pillEffect = getPillEffect(build.activeBuffs.consumable);
+    const schedule = pillEffect && getPillSchedule(pillEffect, Math.min(profile.startDurability.weapon, MONTE_CARLO_MAX_TICKS));
+    const chain = solveHitsDistribution(profile, foodItem?.flatStats?.healthRegen || 0, eatingPolicy, schedule?.hungerDrain);
+    if (!chain) return null;
+
+    const { ticksProbabilities } = chain;
+    let hitsByPillState = null;
+    if (schedule) {
+        // Hit n is dealt in every fight that lasts more than n hits
+        hitsByPillState = {};
+        let longerFights = 1;
+        schedule.states.forEach((state, hit) => {
+            longerFights -= ticksProbabilities[hit];
+            hitsByPillState[state] = (hitsByPillState[state] || 0) + Math.max(0, longerFights);
+        });
+    }
+    return {
+        hits: ticksProbabilities.reduce((acc, probability, hits) => acc + probability * hits, 0),
+        foodEaten: chain.expectedFoodEaten,
+        hitsByPillState
+    };
+}
+
+/**
+ * Expected hits until each equipped slot breaks. The weapon loses durability on every hit,
+ * the rest of the equipment only on hits that aren't dodged.
+ * @param {object} build - The build to analyze (see createBuild).
+ * @param {number} [randomFactor] - Skill random factor, defaults to the global one.
+ * @returns {object} Expected hits keyed by slot (Infinity if the slot never wears out).
+ */
+export function calculateHitsUntilBreak(build, randomFactor) {
+    const dodgeChance = toProbability(calculateStatDetails('dodge', build, randomFactor).total);
+    const hitsUntilBreak = {};
+    for (const [slot, item] of Object.entries(build.equippedItems)) {
+        if (!item || slot === 'ammo') continue;
+        const durability = getItemDurability(item);
+        if (slot === 'weapon') {
+            hitsUntilBreak[slot] = durability;
+        } else {
+            hitsUntilBreak[slot] = dodgeChance < 1 ? durability / (1 - dodgeChance) : Infinity;
+        }
+    }
+    return hitsUntilBreak;
+}
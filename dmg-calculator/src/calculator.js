@@ -1,11 +1,30 @@
 // Calculation logic: Provides functions for skill calculations, combat simulations, and stat details.
 
-import { skillsData, playerState, MIN_SKILL_LEVEL, MAX_SKILL_LEVEL } from './state.js';
+import {
+    skillsData,
+    MIN_SKILL_LEVEL,
+    MAX_SKILL_LEVEL,
+    OPPONENT_PROFILES,
+    DEFAULT_OPPONENT_PROFILE,
+    EATING_POLICIES,
+    DEFAULT_EATING_POLICY,
+    FOOD_ORDERS
+} from './state.js';
+import { createRng, createRandomSeed, deriveSeed } from './random.js';
 
 // Global random factor for all skills (0.9x - 1.1x)
 // This factor is generated once and applied to all skill calculations for consistency
 let globalSkillRandomFactor = null;
 
+/**
+ * Rolls a skill random factor with the given generator.
+ * @param {function(): number} rng - Random generator returning floats in [0, 1).
+ * @returns {number} Random factor between 0.9 and 1.1
+ */
+function rollSkillRandomFactor(rng) {
+    return 0.9 + (rng() * 0.2); // 0.9 to 1.1
+}
+
 /**
  * Generates or returns the global random factor for skill calculations.
  * This factor is applied to ALL skills to simulate realistic variance.
@@ -13,7 +32,7 @@ let globalSkillRandomFactor = null;
  */
 function getGlobalSkillRandomFactor() {
     if (globalSkillRandomFactor === null) {
-        globalSkillRandomFactor = 0.9 + (Math.random() * 0.2); // 0.9 to 1.1
+        globalSkillRandomFactor = rollSkillRandomFactor(Math.random);
     }
     return globalSkillRandomFactor;
 }
@@ -25,6 +44,14 @@ export function resetGlobalSkillRandomFactor() {
     globalSkillRandomFactor = null;
 }
 
+/**
+ * Sets the global random factor, e.g. to display the stats of the last seeded simulation.
+ * @param {number} factor - Random factor between 0.9 and 1.1
+ */
+export function setGlobalSkillRandomFactor(factor) {
+    globalSkillRandomFactor = factor;
+}
+
 export function getSkillData(skillCode, level) {
   if (!skillsData || !skillsData.skills || !skillsData.skills[skillCode]) {
     return null;
@@ -47,24 +74,50 @@ export function calculateCumulativeSkillCost(skillCode, level) {
     return totalCost;
 }
 
-export function calculateStatDetails(skillCode) {
+/**
+ * Creates a self-contained build object from the live player state or a preset snapshot.
+ * Missing current health/hunger (presets don't store them) default to the skill maximums.
+ * @param {object} source - playerState, a preset stateSnapshot or another build.
+ * @returns {object} A deep copy holding level, skills, equipment, buffs and current health/hunger.
+ */
+export function createBuild(source) {
+    const skillLevelsAssigned = JSON.parse(JSON.stringify(source.skillLevelsAssigned));
+    const maxHealth = getSkillData('health', skillLevelsAssigned.health)?.value || 50;
+    const maxHunger = getSkillData('hunger', skillLevelsAssigned.hunger)?.value || 10;
+    return {
+        playerLevel: source.playerLevel,
+        skillLevelsAssigned,
+        equippedItems: JSON.parse(JSON.stringify(source.equippedItems)),
+        activeBuffs: JSON.parse(JSON.stringify(source.activeBuffs)),
+        currentHealth: source.currentHealth ?? maxHealth,
+        currentHunger: source.currentHunger ?? maxHunger
+    };
+}
+
+/**
+ * Calculates the total value of a stat for the given build, with its breakdown.
+ * @param {string} skillCode - The stat to calculate.
+ * @param {object} build - The build to read skills, equipment and buffs from.
+ * @param {number} [randomFactor] - Skill random factor, defaults to the global one.
+ * @returns {object} Skill, equipment and buff contributions plus the final total.
+ */
+export function calculateStatDetails(skillCode, build, randomFactor = getGlobalSkillRandomFactor()) {
     // Aunque ya no es la causa del error principal, esta guarda es buena práctica.
     if (!skillsData || !skillsData.skills) {
         return { skillValue: 0, equipmentValue: 0, equipmentItems: [], ammoPercent: 0, buffPercent: 0, total: 0, randomFactor: 1 };
     }
 
-    const currentSkillLevel = playerState.skillLevelsAssigned[skillCode];
+    const currentSkillLevel = build.skillLevelsAssigned[skillCode];
     const skillBaseInfo = getSkillData(skillCode, currentSkillLevel);
     const skillValue = skillBaseInfo ? skillBaseInfo.value : 0;
-    const { equippedItems, activeBuffs } = playerState;
+    const { equippedItems, activeBuffs } = build;
     let equipmentValue = 0;
     let equipmentItems = [];
     let ammoPercent = 0;
     let buffPercent = 0;
     let total = skillValue;
     
-    // Apply global random factor to skill value
-    const randomFactor = getGlobalSkillRandomFactor();
+    // Apply the random factor to skill value
     const adjustedSkillValue = skillValue * randomFactor;
     total = adjustedSkillValue;
 
@@ -127,74 +180,578 @@ export function calculateStatDetails(skillCode) {
     };
 }
 
+// Health needed to attack; by default food is eaten when health drops to this value or below.
+export const MIN_HEALTH_TO_FIGHT = 10;
+export const MONTE_CARLO_MAX_TICKS = 5000;
+const FULL_COMBAT_MAX_TICKS = 2000;
+// Durability used when an item has none in the game data (and for fights without a weapon).
+// The weapon loses 1 per hit; the fight ends when it breaks.
+export const DEFAULT_ITEM_DURABILITY = 100;
+// Sub-stream of each Monte Carlo run used for loot rolls (see runSimulationBatch).
+const LOOT_STREAM_INDEX = 1;
+// Equipment (other than the weapon) that loses durability on every hit that is not dodged.
+const SLOTS_WORN_ON_HIT = ['helmet', 'chest', 'pants', 'boots', 'gloves'];
+// Percentiles reported for Monte Carlo and exact distributions.
+export const REPORTED_PERCENTILES = [10, 25, 50, 75, 90];
+// Maximum number of bins of the Monte Carlo histograms.
+const HISTOGRAM_BINS = 30;
+// Confidence intervals use the normal approximation, which holds for the hundreds of runs a simulation takes.
+const CONFIDENCE_LEVEL = 95;
+const CONFIDENCE_Z = 1.96;
+// Runs per Monte Carlo batch; auto runs check their precision after each batch.
+export const MONTE_CARLO_BATCH_SIZE = 100;
+// Auto runs never stop on precision before this many runs, so a lucky start can't end them early.
+const MIN_AUTO_RUNS = 200;
+// Assumed pace of a fight, used to turn buff durations given in seconds into hits.
+export const SECONDS_PER_HIT = 2;
+
+/**
+ * Durability of a brand-new item, from the game data.
+ * @param {string} itemCode - The item code.
+ * @returns {number} The item's maximum durability.
+ */
+export function getItemMaxDurability(itemCode) {
+    return skillsData?.skills[itemCode]?.durability ?? DEFAULT_ITEM_DURABILITY;
+}
+
+/**
+ * Current durability of an equipped item. Items saved before durability existed count as new.
+ * @param {object} item - The equipped item instance.
+ * @returns {number} The item's current durability.
+ */
+export function getItemDurability(item) {
+    return item.durability ?? getItemMaxDurability(item.code);
+}
+
+/**
+ * Health lost from an incoming hit after armor, rounded to one decimal.
+ */
+function calculateHealthLost(incomingDamage, armor) {
+    return parseFloat((incomingDamage - incomingDamage * (armor / 100)).toFixed(1));
+}
+
+/**
+ * Compiles a build into a combat profile: every value that stays constant during a run
+ * (final stats after the random factor, damage of each roll outcome, health lost per hit),
+ * so that combat ticks only have to roll the dice.
+ * @param {object} build - The build to compile (see createBuild).
+ * @param {number} randomFactor - Skill random factor for the run.
+ * @param {object} [options]
+ * @param {object} [options.opponent] - The opponent fought (see OPPONENT_PROFILES), the standard one by default.
+ * @param {object} [options.lootTable] - Loot rolled on each hit (see LOOT_TABLES); no loot if omitted.
+ * @returns {object} The combat profile.
+ */
+export function compileCombatProfile(build, randomFactor, { opponent = OPPONENT_PROFILES[DEFAULT_OPPONENT_PROFILE], lootTable = null } = {}) {
+    const attack = calculateStatDetails('attack', build, randomFactor).total;
+    const precision = calculateStatDetails('precision', build, randomFactor).total;
+    const criticalChance = calculateStatDetails('criticalChance', build, randomFactor).total;
+    const criticalDamages = calculateStatDetails('criticalDamages', build, randomFactor).total;
+    const armor = calculateStatDetails('armor', build, randomFactor).total;
+    const dodge = calculateStatDetails('dodge', build, randomFactor).total;
+    const critMultiplier = 1 + (criticalDamages / 100);
+    // Armor piercing ignores part of our armor; dodge still avoids the whole hit
+    const effectiveArmor = armor * (1 - (opponent.armorPiercing || 0) / 100);
+    const opponentCritMultiplier = 1 + ((opponent.criticalDamages || 0) / 100);
+    const wornSlots = SLOTS_WORN_ON_HIT.filter(slot => build.equippedItems[slot]);
+    const startDurability = { weapon: build.equippedItems.weapon ? getItemDurability(build.equippedItems.weapon) : DEFAULT_ITEM_DURABILITY };
+    wornSlots.forEach(slot => { startDurability[slot] = getItemDurability(build.equippedItems[slot]); });
+
+    return {
+        randomFactor,
+        attack,
+        precision,
+        criticalChance,
+        criticalDamages,
+        armor,
+        dodge,
+        // Damage of each outcome, rounded to one decimal like every hit in the game
+        damage: {
+            hit: parseFloat(attack.toFixed(1)),
+            miss: parseFloat((attack / 2).toFixed(1)),
+            criticalHit: parseFloat((attack * critMultiplier).toFixed(1)),
+            criticalMiss: parseFloat(((attack / 2) * critMultiplier).toFixed(1))
+        },
+        healthLostPerHit: calculateHealthLost(opponent.damagePerHit, effectiveArmor),
+        incoming: {
+            damagePerHit: opponent.damagePerHit,
+            spread: (opponent.damageSpread || 0) / 100,
+            criticalChance: opponent.criticalChance || 0,
+            critMultiplier: opponentCritMultiplier,
+            criticalHealthLost: calculateHealthLost(opponent.damagePerHit * opponentCritMultiplier, effectiveArmor),
+            effectiveArmor
+        },
+        maxHealth: getSkillData('health', build.skillLevelsAssigned.health)?.value || 50,
+        startHealth: build.currentHealth,
+        startHunger: build.currentHunger,
+        wornSlots,
+        // Durability of each equipped slot when the fight starts (worn equipment may be partially used)
+        startDurability,
+        loot: lootTable && {
+            chance: calculateStatDetails('lootChance', build, randomFactor).total,
+            dropsOn: lootTable.dropsOn || 'any',
+            items: lootTable.items,
+            totalWeight: lootTable.items.reduce((acc, item) => acc + item.weight, 0)
+        }
+    };
+}
+
+/**
+ * Rolls the health lost from a hit that wasn't dodged.
+ * Opponents without crits or spread don't roll at all, so their fights replay exactly as before.
+ */
+function rollHealthLost(profile, rng) {
+    const { incoming } = profile;
+    const wasOpponentCritical = incoming.criticalChance > 0 && rng() * 100 < incoming.criticalChance;
+    if (incoming.spread === 0) {
+        return wasOpponentCritical ? incoming.criticalHealthLost : profile.healthLostPerHit;
+    }
+    const spreadFactor = 1 - incoming.spread + rng() * 2 * incoming.spread;
+    const incomingDamage = incoming.damagePerHit * spreadFactor * (wasOpponentCritical ? incoming.critMultiplier : 1);
+    return calculateHealthLost(incomingDamage, incoming.effectiveArmor);
+}
+
+/**
+ * Rolls the loot of a hit: the lootChance roll, then one item of the table by weight.
+ * @returns {object|null} The dropped loot table item, or null.
+ */
+function rollLoot(loot, wasHit, wasCritical, rng) {
+    if ((loot.dropsOn === 'hit' && !wasHit) || (loot.dropsOn === 'critical' && !wasCritical)) return null;
+    if (!(rng() * 100 < loot.chance) || loot.totalWeight <= 0) return null;
+    let pick = rng() * loot.totalWeight;
+    for (const item of loot.items) {
+        pick -= item.weight;
+        if (pick < 0) return item;
+    }
+    return loot.items[loot.items.length - 1];
+}
+
+/**
+ * Rolls a single combat hit for a compiled profile. Only dice rolls happen here.
+ * @param {object} profile - The combat profile (see compileCombatProfile).
+ * @param {function(): number} rng - Random generator for the rolls.
+ * @param {function(): number} [lootRng] - Separate generator for loot, so loot settings don't change the fight itself.
+ * @returns {object} Damage dealt, health lost, loot dropped and the outcome of each roll.
+ */
+export function rollCombatTick(profile, rng, lootRng = rng) {
+    const wasDodge = rng() * 100 < profile.dodge;
+    const wasHit = rng() * 100 < profile.precision;
+    const wasCritical = rng() * 100 < profile.criticalChance;
+    const finalDamageDealt = getOutcomeDamage(profile.damage, wasHit, wasCritical);
+    const healthLost = wasDodge ? 0 : rollHealthLost(profile, rng);
+
+    return {
+        finalDamageDealt,
+        healthLost,
+        loot: profile.loot ? rollLoot(profile.loot, wasHit, wasCritical, lootRng) : null,
+        wasCritical,
+        wasHit,
+        wasDodge,
+    };
+}
+
+/**
+ * Damage of a roll outcome (see compileCombatProfile).
+ */
+function getOutcomeDamage(damage, wasHit, wasCritical) {
+    if (wasCritical) return wasHit ? damage.criticalHit : damage.criticalMiss;
+    return wasHit ? damage.hit : damage.miss;
+}
+
+/**
+ * Health at or below which an eating policy eats.
+ * @param {object} policy - The eating policy (see EATING_POLICIES).
+ * @param {number} maxHealth - The player's max health.
+ * @returns {number} The health threshold (-Infinity if the policy never eats).
+ */
+export function getEatingThreshold(policy, maxHealth) {
+    if (policy.never) return -Infinity;
+    if (policy.eatAtPercent !== undefined) return maxHealth * policy.eatAtPercent / 100;
+    return policy.eatAtHealth ?? MIN_HEALTH_TO_FIGHT;
+}
+
+/**
+ * Eats food (one hunger point each) following an eating policy, once health is at or below its threshold.
+ * Shared by the simulation and the exact solver so both follow the same rules.
+ * @param {object} policy - The eating policy (see EATING_POLICIES).
+ * @param {number} health - Current health.
+ * @param {number} hunger - Remaining hunger points.
+ * @param {number} maxHealth - Health cap; eating stops once it is reached.
+ * @param {number} healthPerFood - Health restored by each food item.
+ * @param {object} [pantry] - Food inventory of the fight (see startPantry); when given, each item comes from it
+ *   (and eating stops once it is empty) instead of restoring healthPerFood.
+ * @returns {object} The health and hunger after eating, and the number of items eaten.
+ */
+export function eatWithPolicy(policy, health, hunger, maxHealth, healthPerFood, pantry = null) {
+    const threshold = getEatingThreshold(policy, maxHealth);
+    let eaten = 0;
+    if ((!pantry && healthPerFood <= 0) || health > threshold) return { health, hunger, eaten };
+    const reserve = policy.keepHunger || 0;
+    const target = policy.eatToFull ? maxHealth : threshold;
+    while (hunger > reserve && health <= target) {
+        if (health >= maxHealth) break;
+        const healed = pantry ? takeFood(pantry, maxHealth - health) : healthPerFood;
+        if (healed <= 0) break;
+        hunger--;
+        eaten++;
+        health += healed;
+    }
+    return { health, hunger, eaten };
+}
+
+/**
+ * Compiles a food inventory for the fights: the foods in stock, in the order they are eaten.
+ * An order by cost falls back to its fallback order when a food has no price or all of them cost the same.
+ * @param {object} foodInventory - { items: [{ code, healthRegen, units, cost }], order } (see FOOD_ORDERS);
+ *   cost is null for a food without a price.
+ * @returns {object} The foods as { code, heal, units, cost }, whether each bite picks the best fit
+ *   and the order used as { name, fallbackFrom } (the name of the order it replaced, or null).
+ */
+function compileFoodInventory({ items, order }) {
+    const foods = items
+        .filter(item => item.units > 0 && item.healthRegen > 0)
+        .map(({ code, healthRegen, units, cost }) => ({ code, heal: healthRegen, units: Math.floor(units), cost: cost ?? null }));
+    const costs = foods.map(food => food.cost);
+    const unpriced = order.by === 'cost' && foods.length > 1
+        && (costs.some(cost => !Number.isFinite(cost)) || costs.every(cost => cost === costs[0]));
+    const usedOrder = unpriced ? FOOD_ORDERS[order.fallback] : order;
+    // Best fit scans the biggest heals first, so the first food that fits the gap is the best one
+    foods.sort(usedOrder.by === 'cost' ? (a, b) => a.cost - b.cost || a.heal - b.heal : (a, b) => b.heal - a.heal);
+    return {
+        foods,
+        bestFit: usedOrder.by === 'fit',
+        order: { name: usedOrder.name, fallbackFrom: unpriced ? order.name : null }
+    };
+}
+
+/**
+ * Food inventory of a fight when it starts: every food in stock, none eaten.
+ */
+function startPantry(inventory) {
+    return {
+        ...inventory,
+        left: Object.fromEntries(inventory.foods.map(food => [food.code, food.units])),
+        eaten: {}
+    };
+}
+
+/**
+ * Takes the next food from a pantry: the first one left in its order or, for best fit, the biggest heal
+ * that fits the health gap (the smallest heal left when none fits).
+ * @returns {number} The health it restores, or 0 when the pantry is empty.
+ */
+function takeFood(pantry, healthGap) {
+    const available = pantry.foods.filter(food => pantry.left[food.code] > 0);
+    if (available.length === 0) return 0;
+    const food = pantry.bestFit
+        ? available.find(candidate => candidate.heal <= healthGap) || available[available.length - 1]
+        : available[0];
+    pantry.left[food.code]--;
+    pantry.eaten[food.code] = (pantry.eaten[food.code] || 0) + 1;
+    return food.heal;
+}
+
+/**
+ * Eats up to max health before the first hit, for policies that top off before fighting.
+ * @returns {object} The health and hunger after eating, and the number of items eaten.
+ */
+export function eatBeforeFight(policy, health, hunger, maxHealth, healthPerFood, pantry = null) {
+    if (!policy.topOffBeforeFight) return { health, hunger, eaten: 0 };
+    return eatWithPolicy({ eatAtPercent: 100, eatToFull: true, keepHunger: policy.keepHunger }, health, hunger, maxHealth, healthPerFood, pantry);
+}
+
+/**
+ * Hits a pill's duration or cooldown lasts, from its item data in hits (e.g. durationHits)
+ * or in seconds (e.g. durationSeconds, see SECONDS_PER_HIT). Null if it isn't set.
+ */
+function getEffectHits(data, name) {
+    if (data[`${name}Hits`] !== undefined) return data[`${name}Hits`];
+    if (data[`${name}Seconds`] !== undefined) return Math.ceil(data[`${name}Seconds`] / SECONDS_PER_HIT);
+    return null;
+}
+
+/**
+ * Timing of a pill from its item data (effect): how many hits it lasts, how many hits after taking it
+ * another one can be taken, and the aftereffect it leaves when it wears off.
+ * @param {object|null} pill - The active pill (activeBuffs.consumable).
+ * @returns {object|null} { durationHits, cooldownHits, aftereffect: { durationHits, stats, hungerDrain } | null },
+ *   or null for a pill without an effect, which lasts the whole fight.
+ */
+export function getPillEffect(pill) {
+    const effect = pill && skillsData?.skills[pill.code]?.effect;
+    if (!effect) return null;
+    const { aftereffect } = effect;
+    return {
+        durationHits: getEffectHits(effect, 'duration') ?? Infinity,
+        cooldownHits: getEffectHits(effect, 'cooldown') ?? 0,
+        aftereffect: aftereffect ? {
+            durationHits: getEffectHits(aftereffect, 'duration') ?? 0,
+            stats: aftereffect.flatStats || {},
+            hungerDrain: aftereffect.hungerDrain || 0
+        } : null
+    };
+}
+
+/**
+ * The consumable buff of each pill state ('noPill', 'pill' and, when the pill leaves one, 'aftereffect').
+ * @param {object|null} pill - The active pill (activeBuffs.consumable).
+ * @returns {object} The buff of each pill state, keyed by state.
+ */
+export function getPillStateBuffs(pill) {
+    const pillEffect = getPillEffect(pill);
+    const buffs = { noPill: null, pill };
+    if (pillEffect?.aftereffect) buffs.aftereffect = { code: pill.code, stats: pillEffect.aftereffect.stats };
+    return buffs;
+}
+
+/**
+ * Key of a supply state: the ammo in use (or none) and the pill's state ('pill', 'aftereffect' or 'noPill').
+ */
+function getSupplyStateKey(ammoCode, pillState) {
+    return `${ammoCode || 'none'}|${pillState}`;
+}
+
+/**
+ * Compiles the ammo and pills of the fights of a profile when they can run out or wear off. Each fight starts
+ * with the whole stock: the active ammo is used one unit per hit and, when it runs out, the next weaker ammo
+ * in stock takes over (no ammo once none is left). A pill of the active type is taken at the start of the fight;
+ * one with an effect (see getPillEffect) wears off into its aftereffect, and another is taken once the
+ * aftereffect and the cooldown are over, while any are left.
+ * @param {object} build - The build the profile was compiled from (see createBuild).
+ * @param {object} profile - The combat profile (see compileCombatProfile).
+ * @param {object|null} stock - Units brought to each fight: { ammo: { code: units }, pills: { code: units } },
+ *   or null for an unlimited stock.
+ * @param {object} [options]
+ * @param {object} [options.opponent] - The opponent fought (see OPPONENT_PROFILES).
+ * @returns {object|null} The compiled supplies, with the profile of every ammo and pill state,
+ *   or null when nothing runs out or wears off.
+ */
+export function compileSupplies(build, profile, stock, { opponent } = {}) {
+    const pill = build.activeBuffs.consumable || null;
+    const pillEffect = getPillEffect(pill);
+    if (!stock && !pillEffect) return null;
+
+    const ammoTypes = Object.keys(skillsData?.skills || {})
+        .filter(code => skillsData.skills[code].usage === 'ammo')
+        .sort((a, b) => (skillsData.skills[b].flatStats?.percentAttack || 0) - (skillsData.skills[a].flatStats?.percentAttack || 0));
+    const startAmmo = build.activeBuffs.ammo?.code || null;
+    const pillStates = getPillStateBuffs(pill);
+    // Only the damage of each hit outcome changes with the buffs
+    const profiles = {};
+    [null, ...ammoTypes].forEach(ammoCode => Object.entries(pillStates).forEach(([pillState, consumable]) => {
+        const ammo = ammoCode ? { code: ammoCode, stats: skillsData.skills[ammoCode].flatStats } : null;
+        const variant = { ...build, activeBuffs: { ...build.activeBuffs, ammo, consumable } };
+        profiles[getSupplyStateKey(ammoCode, pillState)] = { ...profile, damage: compileCombatProfile(variant, profile.randomFactor, { opponent }).damage };
+    }));
+    const countUnits = (units) => Math.max(0, Math.floor(units || 0));
+    return {
+        ammoTypes,
+        ammo: Object.fromEntries(ammoTypes.map(code => [code, stock ? countUnits(stock.ammo?.[code]) : (code === startAmmo ? Infinity : 0)])),
+        startAmmo,
+        pills: pill ? (stock ? countUnits(stock.pills?.[pill.code]) : Infinity) : 0,
+        pillEffect,
+        profiles
+    };
+}
+
+/**
+ * The given ammo if any is left, else the next weaker ammo in stock (null when none is left).
+ */
+function pickAmmo(supplies, ammoLeft, ammoCode) {
+    if (!ammoCode) return null;
+    return supplies.ammoTypes.slice(supplies.ammoTypes.indexOf(ammoCode)).find(code => ammoLeft[code] > 0) || null;
+}
+
+/**
+ * Takes a pill if one is left, no pill or aftereffect is on and its cooldown is over.
+ */
+function takePillIfReady(supplies, run) {
+    if (run.pillState !== 'noPill' || run.pillsLeft <= 0 || run.hits < run.nextPillAt) return;
+    const { pillEffect } = supplies;
+    run.pillState = 'pill';
+    run.pillHitsLeft = pillEffect ? pillEffect.durationHits : Infinity;
+    run.pillsLeft--;
+    run.pillsUsed++;
+    run.nextPillAt = pillEffect
+        ? run.hits + Math.max(pillEffect.cooldownHits, pillEffect.durationHits + (pillEffect.aftereffect?.durationHits || 0))
+        : Infinity;
+}
+
+/**
+ * Moves the pill on by one hit: it wears off into its aftereffect (which drains hunger once),
+ * the aftereffect wears off, and another pill is taken when it's ready.
+ * @returns {number} The hunger drained.
+ */
+function advancePill(supplies, run) {
+    let hungerDrained = 0;
+    if (run.pillState !== 'noPill' && --run.pillHitsLeft <= 0) {
+        const aftereffect = run.pillState === 'pill' ? supplies.pillEffect.aftereffect : null;
+        hungerDrained = aftereffect?.hungerDrain || 0;
+        run.pillState = aftereffect?.durationHits > 0 ? 'aftereffect' : 'noPill';
+        run.pillHitsLeft = aftereffect?.durationHits || 0;
+    }
+    takePillIfReady(supplies, run);
+    return hungerDrained;
+}
+
+/**
+ * Supplies of a fight when it starts: the whole stock, the first ammo in use and the pill taken.
+ */
+function startSupplyRun(supplies) {
+    const ammoLeft = { ...supplies.ammo };
+    const ammoCode = pickAmmo(supplies, ammoLeft, supplies.startAmmo);
+    const run = {
+        hits: 0,
+        ammoLeft,
+        ammoCode,
+        pillsLeft: supplies.pills,
+        pillState: 'noPill',
+        pillHitsLeft: 0,
+        nextPillAt: 0,
+        pillsUsed: 0,
+        ranOutOfAmmo: Boolean(supplies.startAmmo) && !ammoCode,
+        damageByAmmo: {},
+        hitsByAmmo: {},
+        pillDamage: 0,
+        pillBonusDamage: 0,
+        aftereffectLoss: 0,
+        profile: null
+    };
+    takePillIfReady(supplies, run);
+    run.profile = supplies.profiles[getSupplyStateKey(ammoCode, run.pillState)];
+    return run;
+}
+
 /**
- * Runs a single, self-contained, and lightweight combat simulation.
- * Optimized for speed by not generating logs. Now includes durability tracking.
- * @param {object} initialPlayerState - A snapshot of the player's state before combat.
+ * Pill state of each hit of a fight with as many pills as it takes, and the hunger drained after each hit,
+ * the way the supplies of a fight move the pill on (see advancePill).
+ * @param {object} pillEffect - The pill's timing (see getPillEffect).
+ * @param {number} hits - Number of hits to follow.
+ * @returns {object} { states, hungerDrain }: the pill state of every hit and the hunger drained after it.
+ */
+export function getPillSchedule(pillEffect, hits) {
+    const supplies = { pillEffect };
+    const run = { hits: 0, pillsLeft: Infinity, pillState: 'noPill', pillHitsLeft: 0, nextPillAt: 0, pillsUsed: 0 };
+    takePillIfReady(supplies, run);
+    const states = [];
+    const hungerDrain = [];
+    for (let hit = 0; hit < hits; hit++) {
+        states.push(run.pillState);
+        run.hits++;
+        hungerDrain.push(advancePill(supplies, run));
+    }
+    return { states, hungerDrain };
+}
+
+/**
+ * Books a hit's damage to the ammo and pill in use, with what the pill added (or its aftereffect took away)
+ * against the same roll without it, then spends one unit of the ammo and moves the pill on.
+ * @returns {number} The hunger drained by the pill's aftereffect.
+ */
+function useSupplies(supplies, run, { finalDamageDealt: damage, wasHit, wasCritical }) {
+    const phase = run.ammoCode || 'none';
+    run.damageByAmmo[phase] = (run.damageByAmmo[phase] || 0) + damage;
+    run.hitsByAmmo[phase] = (run.hitsByAmmo[phase] || 0) + 1;
+    if (run.pillState !== 'noPill') {
+        const damageWithoutPill = getOutcomeDamage(supplies.profiles[getSupplyStateKey(run.ammoCode, 'noPill')].damage, wasHit, wasCritical);
+        if (run.pillState === 'pill') {
+            run.pillDamage += damage;
+            run.pillBonusDamage += damage - damageWithoutPill;
+        } else {
+            run.aftereffectLoss += damageWithoutPill - damage;
+        }
+    }
+    run.hits++;
+    if (run.ammoCode) {
+        run.ammoLeft[run.ammoCode]--;
+        const nextAmmo = pickAmmo(supplies, run.ammoLeft, run.ammoCode);
+        if (nextAmmo !== run.ammoCode) {
+            run.ammoCode = nextAmmo;
+            run.ranOutOfAmmo = !nextAmmo;
+        }
+    }
+    const hungerDrained = advancePill(supplies, run);
+    run.profile = supplies.profiles[getSupplyStateKey(run.ammoCode, run.pillState)];
+    return hungerDrained;
+}
+
+/**
+ * Runs a single, self-contained combat simulation for a compiled profile.
+ * Optimized for speed by not generating logs.
+ * @param {object} profile - The combat profile (see compileCombatProfile).
  * @param {object} foodItem - The food item to be used during simulation.
+ * @param {function(): number} rng - Random generator for this run.
+ * @param {object} options
+ * @param {number} options.maxTicks - Hit limit for the fight.
+ * @param {function(): number} [options.lootRng] - Generator for loot rolls, the fight's one by default.
+ * @param {object} [options.eatingPolicy] - When food is eaten (see EATING_POLICIES).
+ * @param {object} [options.supplies] - Ammo and pills that run out or wear off (see compileSupplies); the profile's buffs
+ *   last the whole fight if omitted.
+ * @param {object} [options.foods] - Compiled food inventory (see compileFoodInventory), eaten instead of foodItem.
  * @returns {object} The results of the simulation run.
  */
-function runSingleLightweightSimulation(initialPlayerState, foodItem) {
+function simulateFight(profile, foodItem, rng, { maxTicks, lootRng = rng, eatingPolicy = EATING_POLICIES[DEFAULT_EATING_POLICY], supplies = null, foods = null }) {
     let totalDamageDealt = 0;
     let ticksSurvived = 0;
     let endReason = 'max_ticks'; // Default reason if the loop hits the limit
+    let lootDrops = 0;
+    let lootValue = 0;
+    const lootItems = {};
 
     // --- START: Durability & Resource Tracking ---
-    let tempCurrentHealth = initialPlayerState.currentHealth;
-    let tempCurrentHunger = initialPlayerState.currentHunger;
-    let tempDurability = {
-        weapon: 100,
-        helmet: 100,
-        chest: 100,
-        pants: 100,
-        boots: 100,
-        gloves: 100,
-    };
+    let tempCurrentHealth = profile.startHealth;
+    let tempCurrentHunger = profile.startHunger;
+    let tempDurability = { ...profile.startDurability };
+    // When ammo and pills run out or wear off, each hit's damage depends on the ones in use
+    const supplyRun = supplies && startSupplyRun(supplies);
     // --- END: Durability & Resource Tracking ---
 
     const healthPerFood = foodItem.flatStats.healthRegen || 0;
-    const maxHealthFromSkills = getSkillData('health', initialPlayerState.skillLevelsAssigned.health)?.value || 50;
-    const INCOMING_DAMAGE_PER_TICK = 10;
-    const MAX_TICKS = 5000;
+    // With a food inventory, every item eaten comes out of its stock
+    const pantry = foods && startPantry(foods);
+    const eatingThreshold = getEatingThreshold(eatingPolicy, profile.maxHealth);
+    let foodEaten = 0;
+    ({ health: tempCurrentHealth, hunger: tempCurrentHunger, eaten: foodEaten } = eatBeforeFight(eatingPolicy, tempCurrentHealth, tempCurrentHunger, profile.maxHealth, healthPerFood, pantry));
 
-    while (ticksSurvived < MAX_TICKS) {
+    while (ticksSurvived < maxTicks) {
         // Condition 1: Check if weapon is broken BEFORE the next hit
         if (tempDurability.weapon <= 0) {
             endReason = 'weapon_broken';
             break;
         }
 
-        // Heal logic (remains the same)
-        if (tempCurrentHealth <= INCOMING_DAMAGE_PER_TICK && tempCurrentHunger > 0 && healthPerFood > 0) {
-            while (tempCurrentHunger > 0 && tempCurrentHealth <= INCOMING_DAMAGE_PER_TICK) {
-                if (tempCurrentHealth >= maxHealthFromSkills) break;
-                tempCurrentHunger--;
-                tempCurrentHealth += healthPerFood;
-            }
+        // Heal logic
+        if (tempCurrentHealth <= eatingThreshold) {
+            const meal = eatWithPolicy(eatingPolicy, tempCurrentHealth, tempCurrentHunger, profile.maxHealth, healthPerFood, pantry);
+            tempCurrentHealth = meal.health;
+            tempCurrentHunger = meal.hunger;
+            foodEaten += meal.eaten;
         }
         
         // Condition 2: Check for enough health for the next hit
-        if (tempCurrentHealth < INCOMING_DAMAGE_PER_TICK) {
+        if (tempCurrentHealth < MIN_HEALTH_TO_FIGHT) {
             endReason = 'no_health';
             break;
         }
 
-        const tickResult = simulateCombatTick();
+        const tickResult = rollCombatTick(supplyRun ? supplyRun.profile : profile, rng, lootRng);
         
         tempCurrentHealth -= tickResult.healthLost;
         totalDamageDealt += tickResult.finalDamageDealt;
         ticksSurvived++;
+        if (supplyRun) tempCurrentHunger = Math.max(0, tempCurrentHunger - useSupplies(supplies, supplyRun, tickResult));
+
+        if (tickResult.loot) {
+            lootDrops++;
+            lootValue += tickResult.loot.value || 0;
+            lootItems[tickResult.loot.code] = (lootItems[tickResult.loot.code] || 0) + 1;
+        }
 
         // --- START: Durability Consumption Logic ---
         tempDurability.weapon -= 1; // Weapon durability is always consumed.
 
         if (!tickResult.wasDodge) {
             // If the hit was not dodged, all other equipment also loses durability.
-            if (initialPlayerState.equippedItems.helmet) tempDurability.helmet -= 1;
-            if (initialPlayerState.equippedItems.chest) tempDurability.chest -= 1;
-            if (initialPlayerState.equippedItems.pants) tempDurability.pants -= 1;
-            if (initialPlayerState.equippedItems.boots) tempDurability.boots -= 1;
-            if (initialPlayerState.equippedItems.gloves) tempDurability.gloves -= 1;
+            for (const slot of profile.wornSlots) tempDurability[slot] -= 1;
         }
         // --- END: Durability Consumption Logic ---
 
@@ -208,165 +765,468 @@ function runSingleLightweightSimulation(initialPlayerState, foodItem) {
     return {
         totalDamageDealt,
         ticksSurvived,
-        endReason // Return why the simulation stopped
+        endReason, // Return why the simulation stopped
+        finalHealth: tempCurrentHealth,
+        finalHunger: tempCurrentHunger,
+        finalDurability: tempDurability,
+        foodEaten,
+        lootDrops,
+        lootValue,
+        lootItems,
+        supplies: supplyRun && {
+            damageByAmmo: supplyRun.damageByAmmo,
+            hitsByAmmo: supplyRun.hitsByAmmo,
+            ammoUsed: Object.fromEntries(supplies.ammoTypes.map(code => [code, supplyRun.hitsByAmmo[code] || 0])),
+            pillDamage: supplyRun.pillDamage,
+            pillBonusDamage: supplyRun.pillBonusDamage,
+            aftereffectLoss: supplyRun.aftereffectLoss,
+            pillsUsed: supplyRun.pillsUsed,
+            ranOutOfAmmo: supplyRun.ranOutOfAmmo
+        },
+        food: pantry && {
+            eaten: pantry.eaten,
+            left: pantry.left,
+            ranOut: Object.values(pantry.left).every(units => units === 0)
+        }
     };
 }
 
+/**
+ * Percentile of sorted values, interpolating linearly between the two closest ranks.
+ */
+function getPercentile(sorted, percentile) {
+    const rank = (sorted.length - 1) * percentile / 100;
+    const lower = Math.floor(rank);
+    const upper = Math.min(lower + 1, sorted.length - 1);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Bins values between min and max. Whole numbers (e.g. hits) get whole-number bins,
+ * so no bin covers more values than its neighbours.
+ * @returns {object} Start of the first bin, bin width and the number of values in each bin.
+ */
+function calculateHistogram(data, min, max) {
+    const isDiscrete = data.every(Number.isInteger);
+    const binWidth = isDiscrete
+        ? Math.max(1, Math.ceil((max - min + 1) / HISTOGRAM_BINS))
+        : (max - min) / HISTOGRAM_BINS || 1;
+    const binCount = isDiscrete ? Math.floor((max - min) / binWidth) + 1 : (max > min ? HISTOGRAM_BINS : 1);
+    const counts = new Array(binCount).fill(0);
+    data.forEach(value => counts[Math.min(binCount - 1, Math.floor((value - min) / binWidth))]++);
+    return { start: min, binWidth, counts };
+}
+
 /**
  * Calculates basic statistics from an array of numbers.
  * @param {Array} data - Array of numeric values.
- * @returns {object} Object containing mean, min, max, and standard deviation.
+ * @returns {object} Object containing mean, min, max, standard deviation, median, percentiles and a histogram.
  */
 function calculateStatistics(data) {
-    if (data.length === 0) return { mean: 0, min: 0, max: 0, stdDev: 0 };
+    if (data.length === 0) {
+        const percentiles = Object.fromEntries(REPORTED_PERCENTILES.map(percentile => [`p${percentile}`, 0]));
+        return {
+            mean: 0, min: 0, max: 0, stdDev: 0, median: 0, percentiles,
+            histogram: { start: 0, binWidth: 1, counts: [] },
+            confidenceInterval: { level: CONFIDENCE_LEVEL, low: 0, high: 0, margin: 0 }
+        };
+    }
     
     const sum = data.reduce((acc, val) => acc + val, 0);
     const mean = sum / data.length;
-    const min = Math.min(...data);
-    const max = Math.max(...data);
+    const sorted = Float64Array.from(data).sort();
+    const min = sorted[0];
+    const max = sorted[sorted.length - 1];
     
     const variance = data.reduce((acc, val) => acc + Math.pow(val - mean, 2), 0) / data.length;
     const stdDev = Math.sqrt(variance);
+    // Standard error from the sample variance, the population one understates the error of small simulations
+    const margin = data.length > 1 ? CONFIDENCE_Z * Math.sqrt(variance / (data.length - 1)) : 0;
+    const percentiles = {};
+    REPORTED_PERCENTILES.forEach(percentile => {
+        percentiles[`p${percentile}`] = parseFloat(getPercentile(sorted, percentile).toFixed(1));
+    });
     
     return {
         mean: parseFloat(mean.toFixed(1)),
         min: parseFloat(min.toFixed(1)),
         max: parseFloat(max.toFixed(1)),
-        stdDev: parseFloat(stdDev.toFixed(1))
+        stdDev: parseFloat(stdDev.toFixed(1)),
+        median: percentiles.p50,
+        percentiles,
+        histogram: calculateHistogram(data, min, max),
+        confidenceInterval: {
+            level: CONFIDENCE_LEVEL,
+            low: parseFloat((mean - margin).toFixed(2)),
+            high: parseFloat((mean + margin).toFixed(2)),
+            margin: parseFloat(margin.toFixed(2))
+        }
     };
 }
 
 /**
- * Performs a Monte Carlo simulation focusing on multiple KPIs.
- * @param {number} iterations - The number of simulations to run.
- * @param {object} initialPlayerState - A snapshot of the player's state.
+ * Returns the skill random factor shared by every run of a seeded Monte Carlo simulation.
+ * @param {number} seed - The simulation seed.
+ * @returns {number} Random factor between 0.9 and 1.1
+ */
+export function getSimulationRandomFactor(seed) {
+    return rollSkillRandomFactor(createRng(seed));
+}
+
+/**
+ * Runs a contiguous batch of Monte Carlo runs and returns the raw per-run results.
+ * Each run draws from its own stream derived from (seed, run index), so batches can be
+ * executed in any order or on different workers and still reproduce the same analysis.
+ * @param {object} build - The build to simulate (see createBuild).
  * @param {object} foodItem - The food item to use.
- * @returns {object} An object containing the statistical analysis of all KPIs.
+ * @param {object} options
+ * @param {number} options.seed - The simulation seed.
+ * @param {number} options.randomFactor - Skill random factor (see getSimulationRandomFactor).
+ * @param {number} options.startIndex - Index of the first run in the batch.
+ * @param {number} options.count - Number of runs in the batch.
+ * @param {object} [options.opponent] - The opponent fought (see OPPONENT_PROFILES).
+ * @param {object} [options.lootTable] - Loot rolled on each hit (see LOOT_TABLES).
+ * @param {object} [options.eatingPolicy] - When food is eaten (see EATING_POLICIES).
+ * @param {object} [options.stock] - Ammo and pill units brought to each fight (see compileSupplies); unlimited if omitted.
+ * @param {object} [options.foodInventory] - Foods brought to each fight and the order they are eaten in
+ *   (see compileFoodInventory); foodItem, limited only by hunger, if omitted.
+ * @returns {object} Damage, hits, food and loot per run plus end reason and loot item counts,
+ *   the totals of the ammo and pill phases when they run out or wear off, and of the food inventory.
  */
-export function runMonteCarloSimulation(iterations, initialPlayerState, foodItem) {
-    // Reset the global random factor for this simulation
-    resetGlobalSkillRandomFactor();
-    
+export function runSimulationBatch(build, foodItem, { seed, randomFactor, startIndex, count, opponent, lootTable, eatingPolicy, stock, foodInventory }) {
     const damageResults = [];
     const ticksResults = [];
+    const foodEatenResults = [];
+    const lootDropsResults = [];
+    const lootValueResults = [];
     const endReasonCounts = { no_health: 0, weapon_broken: 0, max_ticks: 0 };
-    
-    for (let i = 0; i < iterations; i++) {
-        const result = runSingleLightweightSimulation(initialPlayerState, foodItem);
+    const lootItemCounts = {};
+    // The profile is compiled once: stats don't change within a simulation
+    const profile = compileCombatProfile(build, randomFactor, { opponent, lootTable });
+    const supplies = compileSupplies(build, profile, stock, { opponent });
+    const supplyTotals = supplies && createSupplyTotals();
+    const foods = foodInventory ? compileFoodInventory(foodInventory) : null;
+    const foodTotals = foods && { eaten: {}, left: {}, ranOut: 0, order: foods.order };
+
+    for (let i = startIndex; i < startIndex + count; i++) {
+        const runSeed = deriveSeed(seed, i);
+        // Loot has its own stream, so picking a loot table never changes the fights themselves
+        const lootRng = createRng(deriveSeed(runSeed, LOOT_STREAM_INDEX));
+        const result = simulateFight(profile, foodItem, createRng(runSeed), { maxTicks: MONTE_CARLO_MAX_TICKS, lootRng, eatingPolicy, supplies, foods });
         damageResults.push(result.totalDamageDealt);
         ticksResults.push(result.ticksSurvived);
+        foodEatenResults.push(result.foodEaten);
+        lootDropsResults.push(result.lootDrops);
+        lootValueResults.push(result.lootValue);
         if (endReasonCounts[result.endReason] !== undefined) {
             endReasonCounts[result.endReason]++;
         }
+        for (const code in result.lootItems) {
+            lootItemCounts[code] = (lootItemCounts[code] || 0) + result.lootItems[code];
+        }
+        if (supplyTotals) addSupplyTotals(supplyTotals, result.supplies);
+        if (foodTotals) addFoodTotals(foodTotals, result.food);
     }
 
+    return { damageResults, ticksResults, foodEatenResults, lootDropsResults, lootValueResults, endReasonCounts, lootItemCounts, supplyTotals, foodTotals };
+}
+
+/**
+ * Adds the food eaten and left in a fight (or the totals of a batch) to running totals.
+ */
+function addFoodTotals(totals, food) {
+    ['eaten', 'left'].forEach(key => {
+        for (const code in food[key]) totals[key][code] = (totals[key][code] || 0) + food[key][code];
+    });
+    totals.ranOut += Number(food.ranOut);
+}
+
+/**
+ * Per-fight means of the food inventory of the runs, or null when they ate a single food.
+ * @returns {object|null} Items of each food eaten and left per fight, the % of fights that ate all of it
+ *   and the order it was eaten in (see compileFoodInventory).
+ */
+function summarizeFoodTotals(batches, iterations) {
+    const withFood = batches.filter(batch => batch.foodTotals);
+    if (withFood.length === 0) return null;
+    const totals = { eaten: {}, left: {}, ranOut: 0 };
+    withFood.forEach(batch => addFoodTotals(totals, batch.foodTotals));
+    const perFight = (values) => Object.fromEntries(Object.entries(values).map(([code, value]) => [code, value / iterations]));
+    return {
+        eatenPerFight: perFight(totals.eaten),
+        leftPerFight: perFight(totals.left),
+        ranOut: (totals.ranOut / iterations) * 100,
+        order: withFood[0].foodTotals.order
+    };
+}
+
+/**
+ * Empty running totals of the supplies used in fights (see addSupplyTotals).
+ */
+function createSupplyTotals() {
+    return { damageByAmmo: {}, hitsByAmmo: {}, ammoUsed: {}, pillDamage: 0, pillBonusDamage: 0, aftereffectLoss: 0, pillsUsed: 0, ranOutOfAmmo: 0 };
+}
+
+/**
+ * Adds the supplies used in a fight (or the totals of a batch) to running totals.
+ */
+function addSupplyTotals(totals, supplies) {
+    ['damageByAmmo', 'hitsByAmmo', 'ammoUsed'].forEach(key => {
+        for (const code in supplies[key]) totals[key][code] = (totals[key][code] || 0) + supplies[key][code];
+    });
+    ['pillDamage', 'pillBonusDamage', 'aftereffectLoss', 'pillsUsed'].forEach(key => { totals[key] += supplies[key]; });
+    totals.ranOutOfAmmo += Number(supplies.ranOutOfAmmo);
+}
+
+/**
+ * Per-fight means of the ammo and pill phases of the runs, or null when the buffs lasted every whole fight.
+ * @returns {object|null} Damage and hits with each ammo ('none' without ammo), ammo used, damage with and
+ *   without the pill, the extra damage the pill produced (its bonus less what its aftereffect cost),
+ *   pills taken per fight and the % of fights that ran out of their ammo.
+ */
+function summarizeSupplyTotals(batches, iterations) {
+    if (!batches.some(batch => batch.supplyTotals)) return null;
+    const totals = createSupplyTotals();
+    batches.forEach(batch => addSupplyTotals(totals, batch.supplyTotals));
+    const perFight = (values) => Object.fromEntries(Object.entries(values).map(([code, value]) => [code, value / iterations]));
+    const damageWithPill = totals.pillDamage / iterations;
+    // Every hit is booked to one ammo phase, so the phases add up to the fight's damage
+    const damage = Object.values(totals.damageByAmmo).reduce((acc, value) => acc + value, 0) / iterations;
+    return {
+        damageByAmmo: perFight(totals.damageByAmmo),
+        hitsByAmmo: perFight(totals.hitsByAmmo),
+        ammoUsed: perFight(totals.ammoUsed),
+        damageWithPill,
+        damageWithoutPill: Math.max(0, damage - damageWithPill),
+        pillBonusDamage: totals.pillBonusDamage / iterations,
+        aftereffectLoss: totals.aftereffectLoss / iterations,
+        pillExtraDamage: (totals.pillBonusDamage - totals.aftereffectLoss) / iterations,
+        pillsPerFight: totals.pillsUsed / iterations,
+        ranOutOfAmmo: (totals.ranOutOfAmmo / iterations) * 100
+    };
+}
+
+/**
+ * Turns the raw results of one or more batches into the Monte Carlo analysis.
+ * @param {Array<object>} batches - Results of runSimulationBatch, in run order.
+ * @param {object} meta
+ * @param {number} meta.seed - The simulation seed.
+ * @param {number} meta.randomFactor - Skill random factor used by the runs.
+ * @returns {object} An object containing the statistical analysis of all KPIs.
+ */
+export function summarizeSimulationBatches(batches, { seed, randomFactor }) {
+    const damageResults = batches.flatMap(batch => batch.damageResults);
+    const ticksResults = batches.flatMap(batch => batch.ticksResults);
+    const foodEatenResults = batches.flatMap(batch => batch.foodEatenResults);
+    const lootValueResults = batches.flatMap(batch => batch.lootValueResults);
+    const endReasonCounts = { no_health: 0, weapon_broken: 0, max_ticks: 0 };
+    const lootItemCounts = {};
+    batches.forEach(batch => {
+        for (const reason in endReasonCounts) endReasonCounts[reason] += batch.endReasonCounts[reason];
+        for (const code in batch.lootItemCounts) lootItemCounts[code] = (lootItemCounts[code] || 0) + batch.lootItemCounts[code];
+    });
+    const iterations = damageResults.length;
+    const lootItemsPerFight = {};
+    for (const code in lootItemCounts) lootItemsPerFight[code] = lootItemCounts[code] / iterations;
+
     return {
         damageStats: calculateStatistics(damageResults),
         ticksStats: calculateStatistics(ticksResults),
+        foodStats: calculateStatistics(foodEatenResults),
         endReasonStats: {
             byHealth: (endReasonCounts.no_health / iterations) * 100,
             byWeapon: (endReasonCounts.weapon_broken / iterations) * 100,
             byMaxTicks: (endReasonCounts.max_ticks / iterations) * 100,
         },
-        randomFactor: getGlobalSkillRandomFactor()
+        lootStats: {
+            drops: calculateStatistics(batches.flatMap(batch => batch.lootDropsResults)),
+            value: calculateStatistics(lootValueResults),
+            itemsPerFight: lootItemsPerFight
+        },
+        // Damage dealt with and without each buff when ammo and pills run out or wear off (null if they never do)
+        supplyStats: summarizeSupplyTotals(batches, iterations),
+        // Food of each type eaten and left with a food inventory (null with a single food)
+        foodInventoryStats: summarizeFoodTotals(batches, iterations),
+        // Per-run values, in run order, for anything the summary statistics don't cover
+        samples: {
+            damage: damageResults,
+            ticks: ticksResults,
+            food: foodEatenResults,
+            lootValue: lootValueResults
+        },
+        iterations,
+        randomFactor,
+        seed
     };
 }
 
-// Removed simulateFullCombat function - no longer needed
+/**
+ * Half-width of the confidence interval of a mean, in % of the mean.
+ * @param {object} moments - Running count, sum and sum of squares of the values.
+ * @returns {number} The relative margin (Infinity until there are two values).
+ */
+export function calculateRelativeMargin({ count, sum, sumOfSquares }) {
+    if (count < 2) return Infinity;
+    const mean = sum / count;
+    const sampleVariance = Math.max(0, (sumOfSquares - sum * mean) / (count - 1));
+    if (sampleVariance === 0) return 0;
+    return mean === 0 ? Infinity : (CONFIDENCE_Z * Math.sqrt(sampleVariance / count) / Math.abs(mean)) * 100;
+}
 
-export function simulateFullCombatWithFood(foodItem) {
-    // Reset the global random factor for this simulation
-    resetGlobalSkillRandomFactor();
-    
-    let totalDamageDealt = 0;
-    let ticksSurvived = 0;
-    let tempCurrentHealth = playerState.currentHealth;
-    let tempCurrentHunger = playerState.currentHunger;
-    const healthPerFood = foodItem.flatStats.healthRegen || 0;
-    const maxHealthFromSkills = getSkillData('health', playerState.skillLevelsAssigned.health)?.value || 50;
-    const INCOMING_DAMAGE_PER_TICK = 10;
-    const MAX_TICKS = 2000;
-    
-    while (ticksSurvived < MAX_TICKS) {
-        // Healing logic
-        if (tempCurrentHealth <= INCOMING_DAMAGE_PER_TICK && tempCurrentHunger > 0 && healthPerFood > 0) {
-            while (tempCurrentHunger > 0 && tempCurrentHealth <= INCOMING_DAMAGE_PER_TICK) {
-                if (tempCurrentHealth >= maxHealthFromSkills) {
-                    break;
-                }
-                tempCurrentHunger--;
-                tempCurrentHealth += healthPerFood;
+/**
+ * Follows an auto-run simulation batch by batch and tells when to stop sampling: once the confidence
+ * intervals of the mean damage and mean hits are within ±precision %, or when the time budget runs out.
+ * Batches must be added in run order, so the runs taken don't depend on how batches were scheduled.
+ * @param {object} autoRuns
+ * @param {number} autoRuns.precision - Target half-width of the intervals, in % of the mean.
+ * @param {number} autoRuns.timeBudgetMs - Sampling stops after this long anyway.
+ * @param {number} maxIterations - Most runs the simulation may take.
+ * @param {number} [startedAt] - When the simulation started (performance.now()).
+ * @returns {object} The tracker: add(batch), isDone() and getSummary().
+ */
+export function createAutoRunTracker({ precision, timeBudgetMs }, maxIterations, startedAt = performance.now()) {
+    const damage = { count: 0, sum: 0, sumOfSquares: 0 };
+    const hits = { count: 0, sum: 0, sumOfSquares: 0 };
+    let batchCount = 0;
+    let stoppedBy = null;
+
+    const addValues = (moments, values) => {
+        values.forEach(value => {
+            moments.count++;
+            moments.sum += value;
+            moments.sumOfSquares += value * value;
+        });
+    };
+    const checkTimeBudget = () => {
+        if (!stoppedBy && performance.now() - startedAt >= timeBudgetMs) stoppedBy = 'time_budget';
+    };
+
+    return {
+        add(batch) {
+            if (stoppedBy) return;
+            addValues(damage, batch.damageResults);
+            addValues(hits, batch.ticksResults);
+            batchCount++;
+            if (damage.count >= MIN_AUTO_RUNS && calculateRelativeMargin(damage) <= precision && calculateRelativeMargin(hits) <= precision) {
+                stoppedBy = 'precision';
+            } else if (damage.count >= maxIterations) {
+                stoppedBy = 'max_runs';
             }
+            checkTimeBudget();
+        },
+        isDone() {
+            checkTimeBudget();
+            return stoppedBy !== null;
+        },
+        getSummary() {
+            return {
+                precision,
+                timeBudgetMs,
+                stoppedBy,
+                batchCount,
+                damageMargin: calculateRelativeMargin(damage),
+                hitsMargin: calculateRelativeMargin(hits)
+            };
         }
-        
-        // Check if player can attack
-        if (tempCurrentHealth < INCOMING_DAMAGE_PER_TICK) {
-            break;
-        }
+    };
+}
 
-        const tickResult = simulateCombatTick();
-        tempCurrentHealth -= tickResult.healthLost;
-        totalDamageDealt += tickResult.finalDamageDealt;
-        ticksSurvived++;
-        
-        // If health drops to zero or below, combat ends immediately
-        if (tempCurrentHealth <= 0) {
-             break;
-        }
+/**
+ * Performs a Monte Carlo simulation focusing on multiple KPIs.
+ * Runs synchronously; see simulation-pool.js to run it in Web Workers.
+ * @param {number} iterations - The number of simulations to run.
+ * @param {object} build - The build to simulate (see createBuild).
+ * @param {object} foodItem - The food item to use.
+ * @param {object} [options]
+ * @param {number} [options.seed] - Seed to replay a previous analysis; a random one is used if omitted.
+ * @param {object} [options.opponent] - The opponent fought (see OPPONENT_PROFILES).
+ * @param {object} [options.lootTable] - Loot rolled on each hit (see LOOT_TABLES).
+ * @param {object} [options.eatingPolicy] - When food is eaten (see EATING_POLICIES).
+ * @param {object} [options.stock] - Ammo and pill units brought to each fight (see compileSupplies); unlimited if omitted.
+ * @param {object} [options.foodInventory] - Foods brought to each fight and their order (see compileFoodInventory);
+ *   foodItem, limited only by hunger, if omitted.
+ * @param {object} [options.autoRuns] - { precision, timeBudgetMs }: samples batches until the mean damage and hits
+ *   are known within ±precision % (see createAutoRunTracker); iterations is then the most runs it may take.
+ * @returns {object} An object containing the statistical analysis of all KPIs.
+ */
+export function runMonteCarloSimulation(iterations, build, foodItem, { seed = createRandomSeed(), opponent, lootTable, eatingPolicy, stock, foodInventory, autoRuns } = {}) {
+    const startedAt = performance.now();
+    const randomFactor = getSimulationRandomFactor(seed);
+    const batchOptions = { seed, randomFactor, opponent, lootTable, eatingPolicy, stock, foodInventory };
+    if (!autoRuns) {
+        const batch = runSimulationBatch(build, foodItem, { ...batchOptions, startIndex: 0, count: iterations });
+        return { ...summarizeSimulationBatches([batch], { seed, randomFactor }), elapsedMs: performance.now() - startedAt };
+    }
+
+    const tracker = createAutoRunTracker(autoRuns, iterations, startedAt);
+    const batches = [];
+    for (let startIndex = 0; startIndex < iterations && !tracker.isDone(); startIndex += MONTE_CARLO_BATCH_SIZE) {
+        const batch = runSimulationBatch(build, foodItem, { ...batchOptions, startIndex, count: Math.min(MONTE_CARLO_BATCH_SIZE, iterations - startIndex) });
+        batches.push(batch);
+        tracker.add(batch);
     }
+    return {
+        ...summarizeSimulationBatches(batches, { seed, randomFactor }),
+        autoRuns: tracker.getSummary(),
+        elapsedMs: performance.now() - startedAt
+    };
+}
+
+// Removed simulateFullCombat function - no longer needed
+
+/**
+ * Simulates a single full combat, eating the given food as the eating policy says.
+ * @param {object} build - The build to simulate (see createBuild).
+ * @param {object} foodItem - The food item to use.
+ * @param {object} [options]
+ * @param {number} [options.seed] - Seed to replay a previous fight; a random one is used if omitted.
+ * @param {object} [options.opponent] - The opponent fought (see OPPONENT_PROFILES).
+ * @param {object} [options.lootTable] - Loot rolled on each hit (see LOOT_TABLES).
+ * @param {object} [options.eatingPolicy] - When food is eaten (see EATING_POLICIES).
+ * @param {object} [options.stock] - Ammo and pill units brought to the fight (see compileSupplies); unlimited if omitted.
+ * @param {object} [options.foodInventory] - Foods brought to the fight and their order (see compileFoodInventory);
+ *   foodItem, limited only by hunger, if omitted.
+ * @returns {object} Damage, hits, food eaten, loot, why the fight ended, the health/hunger/durability left at the end of it,
+ *   when ammo and pills run out or wear off, the damage dealt with each ammo and with the pill,
+ *   and with a food inventory, the food of each type eaten and left.
+ */
+export function simulateFullCombatWithFood(build, foodItem, { seed = createRandomSeed(), opponent, lootTable, eatingPolicy, stock, foodInventory } = {}) {
+    const rng = createRng(seed);
+    const randomFactor = rollSkillRandomFactor(rng);
+    const profile = compileCombatProfile(build, randomFactor, { opponent, lootTable });
+    const supplies = compileSupplies(build, profile, stock, { opponent });
+    const foods = foodInventory ? compileFoodInventory(foodInventory) : null;
+    const result = simulateFight(profile, foodItem, rng, { maxTicks: FULL_COMBAT_MAX_TICKS, eatingPolicy, supplies, foods });
     
     return {
-        totalDamageDealt: parseFloat(totalDamageDealt.toFixed(1)),
-        ticksSurvived,
-        finalHealth: Math.max(0, tempCurrentHealth),
-        finalHunger: tempCurrentHunger,
-        randomFactor: getGlobalSkillRandomFactor()
+        totalDamageDealt: parseFloat(result.totalDamageDealt.toFixed(1)),
+        ticksSurvived: result.ticksSurvived,
+        endReason: result.endReason,
+        finalHealth: Math.max(0, result.finalHealth),
+        finalHunger: result.finalHunger,
+        finalDurability: result.finalDurability,
+        foodEaten: result.foodEaten,
+        lootDrops: result.lootDrops,
+        lootValue: result.lootValue,
+        lootItems: result.lootItems,
+        supplies: result.supplies,
+        food: result.food,
+        randomFactor,
+        seed
     };
 }
 
-export function simulateCombatTick() {
-  const attackStats = calculateStatDetails('attack');
-  const precisionStats = calculateStatDetails('precision');
-  const critChanceStats = calculateStatDetails('criticalChance');
-  const critDamageStats = calculateStatDetails('criticalDamages');
-  const armorStats = calculateStatDetails('armor');
-  const dodgeStats = calculateStatDetails('dodge');
-  
-  let finalDamageDealt = 0;
-  let healthLost = 10;
-  
-  // Dodge check
-  const wasDodge = Math.random() * 100 < dodgeStats.total;
-  if (wasDodge) {
-      healthLost = 0;
-  } else {
-      const damageReduction = healthLost * (armorStats.total / 100);
-      healthLost -= damageReduction;
-  }
-  
-  // Base damage calculation
-  let baseDamage = attackStats.total;
-  
-  // Hit/Miss check
-  const wasHit = Math.random() * 100 < precisionStats.total;
-  if (!wasHit) {
-      baseDamage /= 2;
-  }
-  
-  // Critical hit check
-  const wasCritical = Math.random() * 100 < critChanceStats.total;
-  if (wasCritical) {
-      const critMultiplier = 1 + (critDamageStats.total / 100);
-      finalDamageDealt = baseDamage * critMultiplier;
-  } else {
-      finalDamageDealt = baseDamage;
-  }
-  
-  return {
-      finalDamageDealt: parseFloat(finalDamageDealt.toFixed(1)),
-      healthLost: parseFloat(healthLost.toFixed(1)),
-      wasCritical,
-      wasHit,
-      wasDodge,
-  };
-}
\ No newline at end of file
+/**
+ * Rolls a single combat hit for the given build.
+ * Compiles the build on every call; fight loops should use rollCombatTick with a compiled profile.
+ * @param {object} build - The build attacking and receiving damage.
+ * @param {object} [options]
+ * @param {function(): number} [options.rng] - Random generator for the rolls, Math.random by default.
+ * @param {number} [options.randomFactor] - Skill random factor, defaults to the global one.
+ * @param {object} [options.opponent] - The opponent fought (see OPPONENT_PROFILES).
+ * @param {object} [options.lootTable] - Loot rolled on the hit (see LOOT_TABLES).
+ * @returns {object} Damage dealt, health lost, loot dropped and the outcome of each roll.
+ */
+export function simulateCombatTick(build, { rng = Math.random, randomFactor = getGlobalSkillRandomFactor(), opponent, lootTable } = {}) {
+    return rollCombatTick(compileCombatProfile(build, randomFactor, { opponent, lootTable }), rng);
+}
@@ -0,0 +1,115 @@
+// Comparison: Tells whether the difference between two Monte Carlo analyses is real or sampling noise.
+
+// Differences are conclusive at the 5% level, matching the 95% confidence intervals of the simulations.
+const SIGNIFICANCE_LEVEL = 0.05;
+const CONFIDENCE_Z = 1.96;
+
+/**
+ * Cumulative distribution function of the standard normal distribution.
+ * Uses the Abramowitz-Stegun approximation of erf (error below 1.5e-7).
+ */
+function normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const polynomial = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - polynomial * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function calculateMeanAndVariance(samples) {
+    const mean = samples.reduce((acc, value) => acc + value, 0) / samples.length;
+    const squaredDeviations = samples.reduce((acc, value) => acc + (value - mean) ** 2, 0);
+    return { mean, variance: samples.length > 1 ? squaredDeviations / (samples.length - 1) : 0 };
+}
+
+/**
+ * Tests the difference of two means (B - A). Paired samples (run i of both builds replayed the same seed)
+ * are compared run by run, which cancels the luck both builds shared; otherwise Welch's test is used,
+ * which doesn't assume equal variances or run counts. Uses the normal approximation, fine for the
+ * hundreds of runs a simulation takes.
+ * @param {Array<number>} samplesA - Per-run values of build A.
+ * @param {Array<number>} samplesB - Per-run values of build B.
+ * @param {object} [options]
+ * @param {boolean} [options.paired] - The samples are paired run by run (same length required).
+ * @returns {object|null} Difference, relative difference (%), its 95% interval, p-value and whether it's conclusive,
+ *   or null without samples.
+ */
+export function compareMeans(samplesA, samplesB, { paired = false } = {}) {
+    if (!samplesA?.length || !samplesB?.length) return null;
+    const a = calculateMeanAndVariance(samplesA);
+    const b = calculateMeanAndVariance(samplesB);
+    const difference = b.mean - a.mean;
+    const standardError = paired && samplesA.length === samplesB.length
+        ? Math.sqrt(calculateMeanAndVariance(samplesB.map((value, run) => value - samplesA[run])).variance / samplesA.length)
+        : Math.sqrt(a.variance / samplesA.length + b.variance / samplesB.length);
+    const pValue = standardError > 0
+        ? 2 * (1 - normalCdf(Math.abs(difference) / standardError))
+        : (difference === 0 ? 1 : 0);
+
+    return {
+        meanA: a.mean,
+        meanB: b.mean,
+        difference,
+        relativeDifference: a.mean !== 0 ? (difference / Math.abs(a.mean)) * 100 : null,
+        interval: {
+            level: (1 - SIGNIFICANCE_LEVEL) * 100,
+            low: difference - CONFIDENCE_Z * standardError,
+            high: difference + CONFIDENCE_Z * standardError
+        },
+        pValue,
+        conclusive: pValue < SIGNIFICANCE_LEVEL,
+        paired: paired && samplesA.length === samplesB.length
+    };
+}
+
+/**
+ * Probability that a random fight of A beats a random fight of B (ties count half).
+ * This is the Mann-Whitney U statistic divided by the number of pairs.
+ * @param {Array<number>} samplesA - Per-run values of build A.
+ * @param {Array<number>} samplesB - Per-run values of build B.
+ * @returns {number|null} Probability between 0 and 1, or null without samples.
+ */
+export function calculateWinProbability(samplesA, samplesB) {
+    if (!samplesA?.length || !samplesB?.length) return null;
+    const sortedB = Float64Array.from(samplesB).sort();
+    // Index of the first value of sortedB that is >= (or > when strict) the given value
+    const countBelow = (value, strict) => {
+        let low = 0;
+        let high = sortedB.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (strict ? sortedB[middle] <= value : sortedB[middle] < value) low = middle + 1;
+            else high = middle;
+        }
+        return low;
+    };
+
+    let wins = 0;
+    samplesA.forEach(value => {
+        const below = countBelow(value, false);
+        const ties = countBelow(value, true) - below;
+        wins += below + ties / 2;
+    });
+    return wins / (samplesA.length * sortedB.length);
+}
+
+/**
+ * Compares the per-run samples of two analyses (see runMonteCarloSimulation), metric by metric.
+ * Analyses with the same seed and run count are compared run by run.
+ * @param {object} resultsA - Analysis of build A.
+ * @param {object} resultsB - Analysis of build B.
+ * @returns {object} compareMeans for damage, hits, food and loot value (null when the samples are missing),
+ *   plus the probability that a build A fight out-damages a build B fight.
+ */
+export function compareAnalyses(resultsA, resultsB) {
+    const samplesA = resultsA.samples || {};
+    const samplesB = resultsB.samples || {};
+    const options = { paired: resultsA.seed === resultsB.seed && resultsA.iterations === resultsB.iterations };
+    return {
+        damage: compareMeans(samplesA.damage, samplesB.damage, options),
+        hits: compareMeans(samplesA.ticks, samplesB.ticks, options),
+        food: compareMeans(samplesA.food, samplesB.food, options),
+        lootValue: compareMeans(samplesA.lootValue, samplesB.lootValue, options),
+        damageWinProbability: calculateWinProbability(samplesA.damage, samplesB.damage)
+    };
+}
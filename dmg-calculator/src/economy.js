@@ -0,0 +1,162 @@
+// Economy: Prices products from the market or from their raw materials and production points,
+// costs the ammo, pills and food a fight consumes and works out what producing them for many fights takes.
+
+import { skillsData } from './state.js';
+
+/**
+ * Products with production data (productionNeeds), in the order of the game data.
+ * @returns {Array<string>} The product codes.
+ */
+export function getProducedItems() {
+    return Object.entries(skillsData?.skills || {})
+        .filter(([, itemData]) => itemData.productionNeeds)
+        .map(([code]) => code);
+}
+
+/**
+ * Raw materials the products are made from, in the order they first appear.
+ * @returns {Array<string>} The raw material codes.
+ */
+export function getRawMaterials() {
+    const materials = new Set();
+    getProducedItems().forEach(code => Object.keys(skillsData.skills[code].productionNeeds).forEach(material => materials.add(material)));
+    return [...materials];
+}
+
+/**
+ * Ammo products, weakest first.
+ * @returns {Array<string>} The ammo codes.
+ */
+export function getAmmoTypes() {
+    return getProducedItems()
+        .filter(code => skillsData.skills[code].usage === 'ammo')
+        .sort((a, b) => (skillsData.skills[a].flatStats?.percentAttack || 0) - (skillsData.skills[b].flatStats?.percentAttack || 0));
+}
+
+/**
+ * Pills: produced consumables that boost attack (not ammo), in the order of the game data.
+ * @returns {Array<string>} The pill codes.
+ */
+export function getPillTypes() {
+    return getProducedItems().filter(code => {
+        const itemData = skillsData.skills[code];
+        return itemData.usage !== 'ammo' && itemData.flatStats?.percentAttack;
+    });
+}
+
+/**
+ * Foods: produced consumables that restore health, in the order of the game data.
+ * @returns {Array<string>} The food codes.
+ */
+export function getFoodTypes() {
+    return getProducedItems().filter(code => skillsData.skills[code].flatStats?.healthRegen);
+}
+
+/**
+ * Copy of a build using another ammo or pill (or none), the way the buff buttons set it.
+ * @param {object} build - The build (see createBuild).
+ * @param {string} buffType - 'ammo' or 'consumable' (pills).
+ * @param {string|null} buffCode - The ammo or pill code, or null for none.
+ * @returns {object} The build with that buff.
+ */
+export function createBuffVariant(build, buffType, buffCode) {
+    const buffData = buffCode && skillsData.skills[buffCode];
+    const buff = buffData ? { code: buffCode, stats: buffData.flatStats, tier: buffData.tier } : null;
+    const variant = { ...build, activeBuffs: { ...build.activeBuffs, [buffType]: buff } };
+    // Ammo also sits in its equipment slot
+    if (buffType === 'ammo') variant.equippedItems = { ...build.equippedItems, ammo: buff };
+    return variant;
+}
+
+/**
+ * Unit cost of a product: its market price when one is entered, else its raw materials (productionNeeds)
+ * and production points at the entered prices.
+ * @param {string} productCode - The product code.
+ * @param {object} prices - Entered prices: { products: { code: price }, materials: { code: price }, productionPoint }.
+ * @returns {object} The cost, where it comes from ('market' or 'production') and the raw materials without a price.
+ */
+export function calculateProductCost(productCode, prices) {
+    const marketPrice = prices.products?.[productCode];
+    if (Number.isFinite(marketPrice)) return { cost: marketPrice, source: 'market', unpriced: [] };
+
+    const { productionNeeds = {}, productionPoints = 0 } = skillsData?.skills[productCode] || {};
+    const unpriced = [];
+    const materialsCost = Object.entries(productionNeeds).reduce((acc, [material, amount]) => {
+        const price = prices.materials?.[material];
+        if (!Number.isFinite(price)) {
+            unpriced.push(material);
+            return acc;
+        }
+        return acc + amount * price;
+    }, 0);
+    return { cost: materialsCost + productionPoints * (prices.productionPoint || 0), source: 'production', unpriced };
+}
+
+/**
+ * Products a fight consumes on average: the ammo fired (one unit of the active ammo per hit unless the stock
+ * runs out), the pills taken while a pill is on (one per fight unless it wears off and is taken again
+ * or the stock runs out) and the food eaten (one product per item).
+ * @param {object} build - The build fought with (see createBuild).
+ * @param {string} foodCode - The food eaten without a food inventory.
+ * @param {object} fight - The fight's mean hits, food eaten, with a food inventory the items of each food eaten
+ *   (see foodInventoryStats) and, when ammo and pills run out or wear off, the units of each ammo fired
+ *   and the pills taken (see supplyStats).
+ * @returns {Array<object>} The products consumed as { code, kind ('ammo', 'pill' or 'food'), units }.
+ */
+export function calculateFightConsumption(build, foodCode, { hits, ammoUsed, foodEaten, foodEatenByType, pillsUsed = 1 }) {
+    const consumption = [];
+    const ammoFired = ammoUsed || (build.activeBuffs.ammo ? { [build.activeBuffs.ammo.code]: hits } : {});
+    Object.entries(ammoFired).forEach(([code, units]) => {
+        if (units > 0) consumption.push({ code, kind: 'ammo', units });
+    });
+    if (build.activeBuffs.consumable && pillsUsed > 0) consumption.push({ code: build.activeBuffs.consumable.code, kind: 'pill', units: pillsUsed });
+    Object.entries(foodEatenByType || { [foodCode]: foodEaten }).forEach(([code, units]) => {
+        if (units > 0) consumption.push({ code, kind: 'food', units });
+    });
+    return consumption;
+}
+
+/**
+ * Cost of what a fight consumes (see calculateFightConsumption), and its damage per currency unit.
+ * @param {Array<object>} consumption - The products consumed.
+ * @param {object} prices - Entered prices (see calculateProductCost).
+ * @param {number} damage - The fight's mean damage.
+ * @returns {object} Each product's units and costs, the total cost per fight, the damage per currency unit
+ *   (null for a free fight) and the raw materials left without a price.
+ */
+export function calculateFightCost(consumption, prices, damage) {
+    const unpriced = new Set();
+    const items = consumption.map(({ code, kind, units }) => {
+        const { cost: unitCost, source, unpriced: missing } = calculateProductCost(code, prices);
+        missing.forEach(material => unpriced.add(material));
+        return { code, kind, units, unitCost, cost: units * unitCost, source };
+    });
+    const total = items.reduce((acc, item) => acc + item.cost, 0);
+    return { items, total, damagePerCurrency: total > 0 ? damage / total : null, unpriced: [...unpriced] };
+}
+
+/**
+ * Products, raw materials and production points needed to keep a fighter supplied for a number of fights.
+ * Products are counted in whole units.
+ * @param {Array<object>} consumption - What one fight consumes on average (see calculateFightConsumption).
+ * @param {number} fights - The number of fights.
+ * @returns {object} The fights, each product's units per fight and in total with its production points,
+ *   the raw materials needed and the total production points.
+ */
+export function calculateBillOfMaterials(consumption, fights) {
+    const materials = {};
+    const products = consumption.map(({ code, kind, units }) => {
+        const { productionNeeds = {}, productionPoints = 0 } = skillsData?.skills[code] || {};
+        const totalUnits = Math.ceil(units * fights);
+        Object.entries(productionNeeds).forEach(([material, amount]) => {
+            materials[material] = (materials[material] || 0) + amount * totalUnits;
+        });
+        return { code, kind, unitsPerFight: units, units: totalUnits, productionPoints: totalUnits * productionPoints };
+    });
+    return {
+        fights,
+        products,
+        materials: Object.entries(materials).map(([code, amount]) => ({ code, amount })),
+        productionPoints: products.reduce((acc, product) => acc + product.productionPoints, 0)
+    };
+}
@@ -11,7 +11,17 @@ import {
   MIN_PLAYER_LEVEL,
   MAX_PLAYER_LEVEL,
   MAX_SKILL_LEVEL,
-  MIN_SKILL_LEVEL
+  MIN_SKILL_LEVEL,
+  OPPONENT_PROFILES,
+  DEFAULT_OPPONENT_PROFILE,
+  LOOT_TABLES,
+  DEFAULT_LOOT_TABLE,
+  EATING_POLICIES,
+  DEFAULT_EATING_POLICY,
+  FOOD_ORDERS,
+  DEFAULT_FOOD_ORDER,
+  ALLOCATION_TEMPLATES,
+  DEFAULT_ALLOCATION_TEMPLATE
 } from './state.js';
 import {
   getSkillData,
@@ -19,9 +29,37 @@ import {
   calculateCumulativeSkillCost,
   simulateFullCombatWithFood,
   calculateStatDetails,
-  runMonteCarloSimulation,
-  resetGlobalSkillRandomFactor
+  resetGlobalSkillRandomFactor,
+  setGlobalSkillRandomFactor,
+  createBuild
 } from './calculator.js';
+import { calculateAnalyticHitStats, calculateExactFightDistribution } from './analytic.js';
+import { compareAnalyses } from './comparison.js';
+import {
+  optimizeSkillAllocation,
+  calculateMarginalSkillValues,
+  planSkillProgression,
+  parseAllocationTemplate,
+  applyAllocationTemplate,
+  calculateTemplateGrowth,
+  optimizeLoadout,
+  analyzeItemRoll,
+  evaluateItemUpgrades,
+  LOADOUT_SLOTS
+} from './optimizer.js';
+import {
+  getProducedItems,
+  getRawMaterials,
+  getAmmoTypes,
+  getPillTypes,
+  getFoodTypes,
+  createBuffVariant,
+  calculateProductCost,
+  calculateFightConsumption,
+  calculateFightCost,
+  calculateBillOfMaterials
+} from './economy.js';
+import { createRandomSeed, parseSeed } from './random.js';
 import {
   ui,
   cacheDOMElements,
@@ -41,12 +79,38 @@ import {
   showActionFeedbackTooltip,
   updateBuildInfo,
   showComparisonResults,
-  showSingleAnalysisResults
+  showSingleAnalysisResults,
+  renderSimulationProgress,
+  hideSimulationProgress,
+  renderFullSimulationDistribution,
+  showOptimizerResults,
+  showMarginalSkillValues,
+  showProgressionPlan,
+  showTemplatePriorities,
+  showTemplateGrowth,
+  renderOwnedItems,
+  showLoadoutResults,
+  showRollQualityResults,
+  renderCandidateItems,
+  showUpgradeResults,
+  renderPriceInputs,
+  showAmmoCostComparison,
+  renderSupplyOptions,
+  showSupplyPlan,
+  renderStockInputs,
+  renderFoodInventoryInputs
 } from './ui.js';
+import { runMonteCarloInWorkers } from './simulation-pool.js';
 
 // === PRESET HELPERS ===
 const PRESETS_STORAGE_KEY = 'playerBuildPresets';
+const TEMPLATES_STORAGE_KEY = 'allocationTemplates';
+const OWNED_ITEMS_STORAGE_KEY = 'ownedItems';
+const PRICES_STORAGE_KEY = 'marketPrices';
 const SIMULATION_ITERATIONS = 1000; // Number of Monte Carlo simulation runs
+// Auto run mode: sample until the means are precise enough, within these limits
+const AUTO_RUNS_MAX_ITERATIONS = 100000;
+const AUTO_RUNS_TIME_BUDGET_MS = 15000;
 
 // === ADVANCED SIMULATION STATE ===
 let buildComparisonState = {
@@ -54,9 +118,26 @@ let buildComparisonState = {
   buildB: null, // Loaded preset for comparison
   foodItem: null,
   simulationRuns: 1000,
-  renderAllUIWrapper: null // Wrapper function for renderAllUI
+  renderAllUIWrapper: null, // Wrapper function for renderAllUI
+  activeComparison: null // AbortController of the running comparison
 };
 
+// AbortController of the running Full Combat Analysis
+let activeFullAnalysis = null;
+// AbortController of the running ammo cost comparison
+let activeAmmoCostComparison = null;
+// AbortController of the running supply plan
+let activeSupplyPlan = null;
+
+// Last skill optimizer output, whose allocations the Apply buttons refer to
+let lastSkillOptimization = null;
+// Last progression roadmap, kept for the CSV export
+let lastProgressionPlan = null;
+// Last loadout optimizer output, whose loadouts the Apply buttons refer to
+let lastLoadoutOptimization = null;
+// Hypothetical items of the upgrade evaluator; they are only kept for the session
+let candidateItems = [];
+
 // Helper function to call renderAllUI with build info updates
 function renderAllUIWithBuildInfo() {
   renderAllUI();
@@ -220,13 +301,15 @@ function handleResetGame() {
 }
 
 
-function handleEquipItem() {
+/**
+ * Builds an item instance from the item configuration panel: the rolled stats picked on the sliders and the durability.
+ * @returns {object|null} The item (code, name, stats, tier and durability), or null if nothing is being configured.
+ */
+function readConfiguredItem() {
   const itemToConfigure = playerState.selectedConfigItem;
-  if (!itemToConfigure) return;
-  const itemSlot = itemToConfigure.usage;
-  if (!itemSlot) return;
+  if (!itemToConfigure) return null;
   const configuredStats = {};
-  const statSliders = ui.itemStatsConfig.querySelectorAll('input[type="range"]');
+  const statSliders = ui.itemStatsConfig.querySelectorAll('input[type="range"][data-stat]');
   if (statSliders.length > 0) {
       statSliders.forEach(slider => {
           configuredStats[slider.dataset.stat] = parseFloat(slider.value);
@@ -234,12 +317,25 @@ function handleEquipItem() {
   } else if (itemToConfigure.flatStats) {
       Object.assign(configuredStats, itemToConfigure.flatStats);
   }
-  const equippedItem = {
+  const configuredItem = {
       code: itemToConfigure.code,
       name: formatCodeToName(itemToConfigure.code),
       stats: configuredStats,
       tier: itemToConfigure.tier
   };
+  const durabilitySlider = ui.itemStatsConfig.querySelector('input[data-durability]');
+  if (durabilitySlider) {
+      configuredItem.durability = parseInt(durabilitySlider.value);
+  }
+  return configuredItem;
+}
+
+function handleEquipItem() {
+  const itemToConfigure = playerState.selectedConfigItem;
+  if (!itemToConfigure) return;
+  const itemSlot = itemToConfigure.usage;
+  if (!itemSlot) return;
+  const equippedItem = readConfiguredItem();
   playerState.equippedItems[itemSlot] = equippedItem;
   Object.keys(equippedItem.stats).forEach(statCode => {
       if(ui.characterStats[statCode]) {
@@ -315,9 +411,15 @@ function handleDamageSimulation() {
   // Reset random factor for this simulation
   resetGlobalSkillRandomFactor();
   
-  const simulationResult = simulateCombatTick();
+  const simulationResult = simulateCombatTick(playerState, {
+    opponent: getSelectedOpponent(ui.opponentSelectionSimple),
+    lootTable: getSelectedLootTable(ui.lootTableSelectionSimple)
+  });
   playerState.currentHealth = Math.max(0, playerState.currentHealth - simulationResult.healthLost);
   playerState.cumulativeDamage += simulationResult.finalDamageDealt;
+  if (simulationResult.loot) {
+    showActionFeedbackTooltip(ui.simulateBtn, `📦 ${simulationResult.loot.name}!`);
+  }
   
   // Update the single hit damage display
   const cumulativeDamageDisplay = document.getElementById('cumulative-damage-display');
@@ -330,6 +432,10 @@ function handleDamageSimulation() {
 }
 
 function handleFullCombatModalOpening() {
+  if (activeFullAnalysis) {
+    activeFullAnalysis.abort();
+    return;
+  }
   if (playerState.currentHealth <= 0) {
       console.log("Cannot simulate, character has no health.");
       return;
@@ -357,8 +463,13 @@ function handleFullCombatModalOpening() {
     ui.modal.startBtn.disabled = false;
   }
   
-  showFoodSelectionModal();
   applyButtonTransform(ui.simulateFullBtn);
+  // A food inventory replaces the single food picked in the modal
+  if (ui.foodModeSimple.value === 'inventory') {
+    startFullCombatWithFood();
+    return;
+  }
+  showFoodSelectionModal();
 }
 
 function formatCodeToName(code) {
@@ -366,28 +477,63 @@ function formatCodeToName(code) {
   return code.replace(/([A-Z])/g, ' $1').replace(/(\d+)/g, ' $1').replace(/^./, (str) => str.toUpperCase());
 }
 
-function startFullCombatWithFood() {
+async function startFullCombatWithFood() {
+  const foodInventory = getEnteredFoodInventory(ui.foodModeSimple, ui.foodInventorySimple, ui.foodOrderSimple);
   const selectedItemElement = ui.modal.foodOptions.querySelector('.selected');
-  if (!selectedItemElement) return;
+  if (!selectedItemElement && !foodInventory) return;
   
-  const itemCode = selectedItemElement.dataset.code;
+  const itemCode = selectedItemElement?.dataset.code || document.getElementById('food-selection-simple').value;
   const foodItem = skillsData.skills[itemCode];
+  const build = createPlayerStateSnapshot();
+  const foodItemData = { ...foodItem, name: formatCodeToName(itemCode) };
   
-  // Show loading state
-  const startBtn = ui.modal.startBtn;
-  const originalText = startBtn.textContent;
-  startBtn.textContent = 'Running Analysis...';
-  startBtn.disabled = true;
-  
-  setTimeout(() => {
-    const stateSnapshot = JSON.parse(JSON.stringify(playerState));
-    const foodItemData = { ...foodItem, name: formatCodeToName(itemCode) };
-    
-    // Use the selected number of runs from the simple config
-    const runs = parseInt(document.getElementById('simulation-runs-simple')?.value || SIMULATION_ITERATIONS);
-    const simulationAnalysis = runMonteCarloSimulation(runs, stateSnapshot, foodItemData);
+  // Use the selected number of runs (or auto mode) from the simple config
+  const { runs, autoRuns } = getSelectedRunMode(document.getElementById('simulation-runs-simple'));
+  const seed = parseSeed(ui.simulationSeedSimpleInput.value) ?? createRandomSeed();
+  const opponent = getSelectedOpponent(ui.opponentSelectionSimple);
+  const lootTable = getSelectedLootTable(ui.lootTableSelectionSimple);
+  const eatingPolicy = getSelectedEatingPolicy(ui.eatingPolicySelectionSimple);
+  const stock = getEnteredStock(ui.stockModeSimple, ui.stockInputsSimple);
+
+  hideFoodSelectionModal();
+
+  // While running, the Full Combat Analysis button becomes a cancel button
+  activeFullAnalysis = new AbortController();
+  ui.simulateFullBtn.textContent = '⏹ Cancel Analysis';
+  renderSimulationProgress(ui.simulationProgressSimple, {
+    completed: 0,
+    total: runs,
+    autoRuns: autoRuns && { ...autoRuns, elapsedMs: 0, margin: Infinity }
+  });
 
-    playerState.lastFullSimulationResult = simulationAnalysis;
+  try {
+    const simulationAnalysis = await runMonteCarloInWorkers(runs, build, foodItemData, {
+      seed,
+      opponent,
+      lootTable,
+      eatingPolicy,
+      stock,
+      foodInventory,
+      autoRuns,
+      signal: activeFullAnalysis.signal,
+      onProgress: (progress) => renderSimulationProgress(ui.simulationProgressSimple, progress)
+    });
+
+    // The exact per-hit values sit next to the sampled ones, so sampling noise is visible
+    playerState.lastFullSimulationResult = {
+      ...simulationAnalysis,
+      opponent,
+      lootTable,
+      eatingPolicy,
+      stock,
+      foodInventory,
+      analytic: calculateAnalyticHitStats(build, simulationAnalysis.randomFactor, { opponent }),
+      // Noise-free fight distribution for the same random factor (null if the solver can't handle the fight,
+      // which includes a finite ammo and pill stock, a pill that wears off and a food inventory)
+      exact: stock || foodInventory ? null : calculateExactFightDistribution(build, foodItemData, simulationAnalysis.randomFactor, { opponent, lootTable, eatingPolicy })
+    };
+    // Show the character stats with the random factor this analysis used
+    setGlobalSkillRandomFactor(simulationAnalysis.randomFactor);
     
     const { damageStats, ticksStats, endReasonStats, randomFactor } = simulationAnalysis;
     const avgDamagePerHit = ticksStats.mean > 0 ? (damageStats.mean / ticksStats.mean).toFixed(1) : 0;
@@ -402,15 +548,19 @@ function startFullCombatWithFood() {
     }
     
     // Update the UI with simulation results
-    updateSimulationResults(damageStats, ticksStats, avgDamagePerHit, damageConsistency, primaryLimitingFactor, randomFactor);
-    
-    hideFoodSelectionModal();
+    updateSimulationResults(damageStats, ticksStats, avgDamagePerHit, damageConsistency, primaryLimitingFactor, randomFactor, seed, opponent, simulationAnalysis.lootStats, eatingPolicy, simulationAnalysis.foodStats, simulationAnalysis.iterations);
     renderAllUIWithBuildInfo(); 
-    
-    // Restore button state
-    startBtn.textContent = originalText;
-    startBtn.disabled = false;
-  }, 10);
+    renderFullSimulationDistribution();
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.error('Error during full combat analysis:', error);
+      showConfirmationModal({ title: 'Simulation Error', text: 'An error occurred during the combat analysis.', showCancel: false, confirmText: 'OK' });
+    }
+  } finally {
+    activeFullAnalysis = null;
+    hideSimulationProgress(ui.simulationProgressSimple);
+    ui.simulateFullBtn.textContent = '🎯 Full Combat Analysis';
+  }
 }
 
 function handleExportBuild() {
@@ -465,7 +615,7 @@ function populateExportCard(summary) {
   statsContainer.innerHTML = '';
   const statsToDisplay = ['attack', 'precision', 'criticalChance', 'criticalDamages', 'armor', 'dodge'];
   statsToDisplay.forEach(code => {
-      const details = calculateStatDetails(code);
+      const details = calculateStatDetails(code, playerState);
       const statItemDiv = document.createElement('div');
       statItemDiv.className = 'export-stat-item';
       let breakdownHtml = '<ul class="export-stat-breakdown">';
@@ -529,6 +679,7 @@ function handleFullRestore() {
  */
 function renderPresetsList() {
   const presets = getPresetsFromStorage();
+  renderPlannerTargetOptions(presets);
   ui.presetsListContainer.innerHTML = '';
 
   if (presets.length === 0) {
@@ -808,9 +959,13 @@ async function initialize() {
       statItem.addEventListener('mouseleave', handleStatMouseLeave);
     });
     ui.equipItemButton.addEventListener('click', handleEquipItem);
+    ui.addOwnedItemButton.addEventListener('click', handleAddOwnedItem);
+    ui.addCandidateItemButton.addEventListener('click', handleAddCandidateItem);
     ui.buffSelection.addEventListener('click', handleBuffButtonClick);
     ui.simulateBtn.addEventListener('click', handleDamageSimulation);
     ui.simulateFullBtn.addEventListener('click', handleFullCombatModalOpening);
+    ui.distributionMetricSelect.addEventListener('change', renderFullSimulationDistribution);
+    ui.distributionCdfToggle.addEventListener('change', renderFullSimulationDistribution);
     const skillsSection = document.querySelector('.skills-section');
     skillsSection.addEventListener('mouseover', (event) => {
         if (event.target.classList.contains('progress-block')) handleProgressBlockMouseEnter(event);
@@ -839,6 +994,8 @@ async function initialize() {
     });
     renderPresetsList();
     ui.loadFromApiBtn.addEventListener('click', handleLoadFromAPI);
+    initializeStockInputs(ui.stockModeSimple, ui.stockInputsSimple);
+    initializeFoodInventory(ui.foodModeSimple, ui.foodInventorySimple);
 
     // Initialize advanced simulation section
     initializeAdvancedSimulation();
@@ -857,7 +1014,7 @@ async function initialize() {
   }
 }
 
-function updateSimulationResults(damageStats, ticksStats, avgDamagePerHit, damageConsistency, primaryLimitingFactor, randomFactor) {
+function updateSimulationResults(damageStats, ticksStats, avgDamagePerHit, damageConsistency, primaryLimitingFactor, randomFactor, seed, opponent, lootStats, eatingPolicy, foodStats, iterations) {
   // Update main KPI displays
   const avgDamageDisplay = document.getElementById('full-sim-avg-damage-display');
   const avgHitsDisplay = document.getElementById('full-sim-avg-hits-display');
@@ -884,62 +1041,129 @@ function updateSimulationResults(damageStats, ticksStats, avgDamagePerHit, damag
   
   // Store summary for export
   playerState.lastSimulationSummary = `
-    Analysis of 1000 cycles with random factor ${randomFactor.toFixed(3)}x:
-    - Avg. Total Damage (TDC): ${damageStats.mean.toFixed(1)}
-    - Avg. Total Hits (THC): ${ticksStats.mean.toFixed(1)}
+    Analysis of ${iterations} cycles against ${opponent.name} opponents with random factor ${randomFactor.toFixed(3)}x (seed ${seed}):
+    - Avg. Total Damage (TDC): ${damageStats.mean.toFixed(1)} (median ${damageStats.median}, P10-P90 ${damageStats.percentiles.p10}-${damageStats.percentiles.p90})
+    - 95% CI of the Avg. Total Damage: ${damageStats.confidenceInterval.low.toFixed(1)}-${damageStats.confidenceInterval.high.toFixed(1)}
+    - Avg. Total Hits (THC): ${ticksStats.mean.toFixed(1)} (median ${ticksStats.median}, P10-P90 ${ticksStats.percentiles.p10}-${ticksStats.percentiles.p90})
     - Avg. Damage per Hit: ${avgDamagePerHit}
     - Damage Consistency: ${damageConsistency}%
     - Primary Limiting Factor: ${primaryLimitingFactor}
+    - Eating Policy: ${eatingPolicy.name} (${foodStats.mean.toFixed(1)} food eaten per fight)
+    - Avg. Loot per Fight: ${lootStats.drops.mean.toFixed(1)} drops (value ${lootStats.value.mean.toFixed(1)})
   `;
 }
 
 // === ADVANCED SIMULATION FUNCTIONS ===
 
 /**
- * Gets food item data by code
+ * Reads a runs select: a fixed number of runs, or "auto:<precision>" to sample until
+ * the mean damage and hits are known within ±precision %
+ */
+function getSelectedRunMode(select) {
+  const value = select?.value || String(SIMULATION_ITERATIONS);
+  if (value.startsWith('auto:')) {
+    return {
+      runs: AUTO_RUNS_MAX_ITERATIONS,
+      autoRuns: { precision: parseFloat(value.slice('auto:'.length)), timeBudgetMs: AUTO_RUNS_TIME_BUDGET_MS }
+    };
+  }
+  return { runs: parseInt(value), autoRuns: null };
+}
+
+/**
+ * Gets the opponent profile selected in a simulation panel
+ */
+function getSelectedOpponent(select) {
+  return OPPONENT_PROFILES[select?.value] || OPPONENT_PROFILES[DEFAULT_OPPONENT_PROFILE];
+}
+
+/**
+ * Gets the loot table selected in a simulation panel
+ */
+function getSelectedLootTable(select) {
+  return LOOT_TABLES[select?.value] || LOOT_TABLES[DEFAULT_LOOT_TABLE];
+}
+
+/**
+ * Gets the eating policy selected in a simulation panel
+ */
+function getSelectedEatingPolicy(select) {
+  return EATING_POLICIES[select?.value] || EATING_POLICIES[DEFAULT_EATING_POLICY];
+}
+
+/**
+ * Gets the ammo and pill units per fight entered in a simulation panel
+ * @returns {object|null} The stock (see compileSupplies), or null when the stock is unlimited
+ */
+function getEnteredStock(modeSelect, container) {
+  if (modeSelect?.value !== 'limited') return null;
+  const stock = { ammo: {}, pills: {} };
+  container.querySelectorAll('input[data-stock-kind]').forEach(input => {
+    const units = parseInt(input.value);
+    stock[input.dataset.stockKind][input.dataset.stockCode] = Number.isFinite(units) ? Math.max(0, units) : 0;
+  });
+  return stock;
+}
+
+/**
+ * Gets the food inventory entered in a simulation panel, with each food's unit cost at the entered prices
+ * (null while any of its raw materials has no price)
+ * @returns {object|null} The inventory (see compileFoodInventory), or null for a single food
+ */
+function getEnteredFoodInventory(modeSelect, container, orderSelect) {
+  if (modeSelect?.value !== 'inventory') return null;
+  const prices = readEnteredPrices();
+  const items = [...container.querySelectorAll('input[data-food-code]')].map(input => {
+    const code = input.dataset.foodCode;
+    const units = parseInt(input.value);
+    const { cost, unpriced } = calculateProductCost(code, prices);
+    return {
+      code,
+      healthRegen: skillsData.skills[code].flatStats.healthRegen,
+      units: Number.isFinite(units) ? Math.max(0, units) : 0,
+      cost: unpriced.length ? null : cost
+    };
+  });
+  return { items, order: FOOD_ORDERS[orderSelect?.value] || FOOD_ORDERS[DEFAULT_FOOD_ORDER] };
+}
+
+/**
+ * Builds a simulation panel's food inventory inputs, shown only while it eats from an inventory
+ */
+function initializeFoodInventory(modeSelect, container) {
+  renderFoodInventoryInputs(container, getFoodTypes());
+  modeSelect.addEventListener('change', () => container.classList.toggle('hidden', modeSelect.value !== 'inventory'));
+}
+
+/**
+ * Builds a simulation panel's stock inputs, shown only while its stock is limited
+ */
+function initializeStockInputs(modeSelect, container) {
+  renderStockInputs(container, getAmmoTypes(), getPillTypes());
+  modeSelect.addEventListener('change', () => container.classList.toggle('hidden', modeSelect.value !== 'limited'));
+}
+
+/**
+ * Gets food item data by code from the game data, steak when the code isn't a food
  */
 function getFoodItemByCode(foodCode) {
-  const foodItems = {
-    bread: { flatStats: { healthRegen: 5 } },
-    steak: { flatStats: { healthRegen: 10 } },
-    cookedFish: { flatStats: { healthRegen: 15 } }
-  };
-  return foodItems[foodCode] || foodItems.steak;
+  const foodItem = skillsData.skills[foodCode];
+  return foodItem?.flatStats?.healthRegen ? foodItem : skillsData.skills.steak;
 }
 
 /**
- * Creates a snapshot of the current player state
+ * Creates a build object from the current player state
  */
 function createPlayerStateSnapshot() {
-  return {
-    playerLevel: playerState.playerLevel,
-    skillLevelsAssigned: JSON.parse(JSON.stringify(playerState.skillLevelsAssigned)),
-    equippedItems: JSON.parse(JSON.stringify(playerState.equippedItems)),
-    activeBuffs: JSON.parse(JSON.stringify(playerState.activeBuffs)),
-    currentHealth: playerState.currentHealth,
-    currentHunger: playerState.currentHunger
-  };
+  return createBuild(playerState);
 }
 
 /**
- * Applies a player state snapshot
+ * Resolves a comparison slot into a build object
  */
-function applyPlayerStateSnapshot(snapshot) {
-  playerState.playerLevel = snapshot.playerLevel;
-  playerState.skillLevelsAssigned = JSON.parse(JSON.stringify(snapshot.skillLevelsAssigned));
-  playerState.equippedItems = JSON.parse(JSON.stringify(snapshot.equippedItems));
-  playerState.activeBuffs = JSON.parse(JSON.stringify(snapshot.activeBuffs));
-  playerState.currentHealth = snapshot.currentHealth;
-  playerState.currentHunger = snapshot.currentHunger;
-  
-  // Recalculate skill points
-  const totalPointsForLevel = playerState.playerLevel * SKILL_POINTS_PER_LEVEL;
-  let spentPoints = 0;
-  for (const skillCode in playerState.skillLevelsAssigned) {
-    spentPoints += calculateCumulativeSkillCost(skillCode, playerState.skillLevelsAssigned[skillCode]);
-  }
-  playerState.skillPointsSpent = spentPoints;
-  playerState.skillPointsAvailable = totalPointsForLevel - spentPoints;
+function getComparisonBuild(slotBuild) {
+  // Presets carry a stateSnapshot; the current build is already a build object
+  return createBuild(slotBuild.stateSnapshot || slotBuild);
 }
 
 /**
@@ -1017,6 +1241,10 @@ window.selectPresetForComparison = function(presetIndex, buildSlot) {
  * Handles build comparison simulation
  */
 async function handleCompareBuilds() {
+  if (buildComparisonState.activeComparison) {
+    buildComparisonState.activeComparison.abort();
+    return;
+  }
   if (!buildComparisonState.buildA || !buildComparisonState.buildB) {
     showConfirmationModal({
       title: 'Builds Not Ready',
@@ -1027,40 +1255,47 @@ async function handleCompareBuilds() {
     return;
   }
 
-  const runs = parseInt(ui.simulationRunsSelect.value);
+  const { runs, autoRuns } = getSelectedRunMode(ui.simulationRunsSelect);
   const foodCode = ui.foodSelectionAdvanced.value;
   const foodItem = getFoodItemByCode(foodCode);
-
-  // Disable button and show loading
-  ui.compareBuildsBtn.disabled = true;
-  ui.compareBuildsBtn.textContent = '🔄 Running Simulations...';
+  const seed = parseSeed(ui.simulationSeedInput.value) ?? createRandomSeed();
+  const opponent = getSelectedOpponent(ui.opponentSelectionAdvanced);
+  const lootTable = getSelectedLootTable(ui.lootTableSelectionAdvanced);
+  const eatingPolicy = getSelectedEatingPolicy(ui.eatingPolicySelectionAdvanced);
+  const stock = getEnteredStock(ui.stockModeAdvanced, ui.stockInputsAdvanced);
+  const foodInventory = getEnteredFoodInventory(ui.foodModeAdvanced, ui.foodInventoryAdvanced, ui.foodOrderAdvanced);
+
+  // While running, the compare button becomes a cancel button
+  const controller = new AbortController();
+  buildComparisonState.activeComparison = controller;
+  ui.compareBuildsBtn.textContent = '⏹ Cancel Comparison';
 
   try {
-    // Simulate Build A
-    const originalState = createPlayerStateSnapshot();
-    let buildAResults;
-    
-    if (buildComparisonState.buildA.stateSnapshot) {
-      // Build A is a loaded preset
-      applyPlayerStateSnapshot(buildComparisonState.buildA.stateSnapshot);
-      buildAResults = runMonteCarloSimulation(runs, createPlayerStateSnapshot(), foodItem);
-    } else {
-      // Build A is the current build
-      buildAResults = runMonteCarloSimulation(runs, createPlayerStateSnapshot(), foodItem);
-    }
-
-    // Simulate Build B
-    applyPlayerStateSnapshot(buildComparisonState.buildB.stateSnapshot);
-    const buildBResults = runMonteCarloSimulation(runs, createPlayerStateSnapshot(), foodItem);
-    
-    // Restore original state
-    applyPlayerStateSnapshot(originalState);
-    renderAllUIWithBuildInfo();
+    // Builds are simulated from their own snapshots, the live player state is never touched
+    // Both builds share the seed, so they face the same dice and differences are due to the builds
+    const runBuild = async (slotBuild, label) => {
+      const build = getComparisonBuild(slotBuild);
+      const results = await runMonteCarloInWorkers(runs, build, foodItem, {
+        seed,
+        opponent,
+        lootTable,
+        eatingPolicy,
+        stock,
+        foodInventory,
+        autoRuns,
+        signal: controller.signal,
+        onProgress: (progress) => renderSimulationProgress(ui.simulationProgressAdvanced, progress, label)
+      });
+      return { ...results, opponent, lootTable, eatingPolicy, stock, foodInventory, analytic: calculateAnalyticHitStats(build, results.randomFactor, { opponent }) };
+    };
+    const buildAResults = await runBuild(buildComparisonState.buildA, 'Build A');
+    const buildBResults = await runBuild(buildComparisonState.buildB, 'Build B');
 
-    // Show results
-    showComparisonResults(buildAResults, buildBResults);
+    // Show results, with whether each difference is more than sampling noise
+    showComparisonResults(buildAResults, buildBResults, compareAnalyses(buildAResults, buildBResults));
 
   } catch (error) {
+    if (error.name === 'AbortError') return;
     console.error('Error during build comparison:', error);
     showConfirmationModal({
       title: 'Simulation Error',
@@ -1069,13 +1304,766 @@ async function handleCompareBuilds() {
       confirmText: 'OK'
     });
   } finally {
-    // Re-enable button
+    buildComparisonState.activeComparison = null;
+    hideSimulationProgress(ui.simulationProgressAdvanced);
     ui.compareBuildsBtn.disabled = false;
     ui.compareBuildsBtn.textContent = '🚀 Compare Builds';
   }
 }
 
 
+/**
+ * Runs the skill optimizer for the current equipment and buffs with the advanced panel's settings
+ */
+async function handleOptimizeSkills() {
+  const requestedLevel = parseInt(ui.optimizerLevelInput.value);
+  const playerLevel = Number.isNaN(requestedLevel)
+    ? playerState.playerLevel
+    : Math.min(Math.max(requestedLevel, MIN_PLAYER_LEVEL), MAX_PLAYER_LEVEL);
+  const weights = {
+    damage: parseFloat(ui.optimizerWeightDamage.value) || 0,
+    damagePerHit: parseFloat(ui.optimizerWeightDph.value) || 0,
+    hits: parseFloat(ui.optimizerWeightHits.value) || 0
+  };
+
+  ui.optimizeSkillsBtn.disabled = true;
+  ui.optimizeSkillsBtn.textContent = '⏳ Optimizing...';
+  try {
+    // Let the button repaint before the search blocks the page
+    await new Promise(resolve => setTimeout(resolve, 0));
+    lastSkillOptimization = optimizeSkillAllocation(createPlayerStateSnapshot(), getFoodItemByCode(ui.foodSelectionAdvanced.value), {
+      playerLevel,
+      objective: ui.optimizerObjectiveSelect.value,
+      weights,
+      topN: parseInt(ui.optimizerTopNSelect.value),
+      opponent: getSelectedOpponent(ui.opponentSelectionAdvanced),
+      eatingPolicy: getSelectedEatingPolicy(ui.eatingPolicySelectionAdvanced)
+    });
+    showOptimizerResults(lastSkillOptimization);
+  } catch (error) {
+    console.error('Error during skill optimization:', error);
+    showConfirmationModal({
+      title: 'Optimizer Error',
+      text: 'An error occurred while searching the skill allocations.',
+      showCancel: false,
+      confirmText: 'OK'
+    });
+  } finally {
+    ui.optimizeSkillsBtn.disabled = false;
+    ui.optimizeSkillsBtn.textContent = '🧠 Find Best Allocations';
+  }
+}
+
+/**
+ * Applies one of the optimizer's allocations (and its level) to the player, at full health and hunger
+ */
+function handleApplyOptimizedAllocation(button) {
+  const result = lastSkillOptimization?.results[parseInt(button.dataset.resultIndex)];
+  if (!result) return;
+
+  playerState.playerLevel = lastSkillOptimization.playerLevel;
+  playerState.skillLevelsAssigned = { ...playerState.skillLevelsAssigned, ...result.skillLevelsAssigned };
+  playerState.skillPointsSpent = result.pointsSpent;
+  playerState.skillPointsAvailable = lastSkillOptimization.budget - result.pointsSpent;
+  playerState.currentHealth = getSkillData('health', playerState.skillLevelsAssigned.health)?.value || 50;
+  playerState.currentHunger = getSkillData('hunger', playerState.skillLevelsAssigned.hunger)?.value || 10;
+
+  renderAllUIWithBuildInfo();
+  applyButtonTransform(button);
+  showActionFeedbackTooltip(button, 'Allocation applied!');
+}
+
+/**
+ * Shows what one more (or one less) level of each skill is worth for the current build
+ */
+async function handleAnalyzeMarginalSkills() {
+  ui.marginalSkillsBtn.disabled = true;
+  ui.marginalSkillsBtn.textContent = '⏳ Analyzing...';
+  try {
+    // Let the button repaint before the analysis blocks the page
+    await new Promise(resolve => setTimeout(resolve, 0));
+    showMarginalSkillValues(calculateMarginalSkillValues(createPlayerStateSnapshot(), getFoodItemByCode(ui.foodSelectionAdvanced.value), {
+      opponent: getSelectedOpponent(ui.opponentSelectionAdvanced),
+      eatingPolicy: getSelectedEatingPolicy(ui.eatingPolicySelectionAdvanced)
+    }));
+  } catch (error) {
+    console.error('Error during skill point analysis:', error);
+    showConfirmationModal({
+      title: 'Analysis Error',
+      text: 'An error occurred while analyzing the next skill point.',
+      showCancel: false,
+      confirmText: 'OK'
+    });
+  } finally {
+    ui.marginalSkillsBtn.disabled = false;
+    ui.marginalSkillsBtn.textContent = '📈 Analyze Next Point';
+  }
+}
+
+/**
+ * Lists the saved presets as planner targets, after the optimizer's best end-game build
+ */
+function renderPlannerTargetOptions(presets) {
+  const selected = ui.plannerTargetSelect.value;
+  ui.plannerTargetSelect.innerHTML = `<option value="optimizer">Best level ${MAX_PLAYER_LEVEL} build (mean damage per fight)</option>`
+    + presets.map(preset => `<option value="preset:${preset.name}">Preset: ${preset.name}</option>`).join('');
+  if ([...ui.plannerTargetSelect.options].some(option => option.value === selected)) {
+    ui.plannerTargetSelect.value = selected;
+  }
+}
+
+/**
+ * Plans the level-by-level way from the current build to the selected target build
+ */
+async function handlePlanProgression() {
+  const build = createPlayerStateSnapshot();
+  const foodItem = getFoodItemByCode(ui.foodSelectionAdvanced.value);
+  const options = {
+    opponent: getSelectedOpponent(ui.opponentSelectionAdvanced),
+    eatingPolicy: getSelectedEatingPolicy(ui.eatingPolicySelectionAdvanced)
+  };
+  const target = ui.plannerTargetSelect.value;
+  const preset = target.startsWith('preset:')
+    ? getPresetsFromStorage().find(p => p.name === target.slice('preset:'.length))
+    : null;
+  if (target !== 'optimizer' && !preset) {
+    showConfirmationModal({
+      title: 'Preset Not Found',
+      text: 'The selected preset no longer exists.',
+      showCancel: false,
+      confirmText: 'OK'
+    });
+    return;
+  }
+
+  ui.planProgressionBtn.disabled = true;
+  ui.planProgressionBtn.textContent = '⏳ Planning...';
+  try {
+    // Let the button repaint before the planning blocks the page
+    await new Promise(resolve => setTimeout(resolve, 0));
+    const targetSkillLevels = preset
+      ? preset.stateSnapshot.skillLevelsAssigned
+      : optimizeSkillAllocation(build, foodItem, { ...options, playerLevel: MAX_PLAYER_LEVEL, topN: 1 }).results[0]?.skillLevelsAssigned;
+    if (!targetSkillLevels) throw new Error('No target build to plan for.');
+    lastProgressionPlan = planSkillProgression(build, targetSkillLevels, foodItem, options);
+    showProgressionPlan(lastProgressionPlan, ui.plannerTargetSelect.selectedOptions[0].textContent);
+  } catch (error) {
+    console.error('Error during progression planning:', error);
+    showConfirmationModal({
+      title: 'Planner Error',
+      text: 'An error occurred while planning the roadmap.',
+      showCancel: false,
+      confirmText: 'OK'
+    });
+  } finally {
+    ui.planProgressionBtn.disabled = false;
+    ui.planProgressionBtn.textContent = '🗺️ Plan Roadmap';
+  }
+}
+
+/**
+ * Downloads the last roadmap as a CSV table: one row per level with the purchases, points, expected numbers
+ * and the skill levels reached
+ */
+function handleExportRoadmap() {
+  if (!lastProgressionPlan) return;
+  const skillCodes = Object.keys(lastProgressionPlan.steps[0].skillLevelsAssigned);
+  const header = ['Level', 'Buy', 'Points Spent', 'Points Left', 'Damage/Fight', 'Hits', 'Damage/Hit', ...skillCodes.map(formatCodeToName)];
+  const rows = lastProgressionPlan.steps.map(step => [
+    step.playerLevel,
+    step.purchases.map(({ skillCode, level }) => `${formatCodeToName(skillCode)} ${level}`).join(' + '),
+    step.pointsSpent,
+    step.pointsAvailable,
+    step.metrics.damage.toFixed(1),
+    step.metrics.hits.toFixed(2),
+    step.metrics.damagePerHit.toFixed(1),
+    ...skillCodes.map(skillCode => step.skillLevelsAssigned[skillCode])
+  ]);
+  const csv = [header, ...rows].map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(',')).join('\n');
+
+  const link = document.createElement('a');
+  const { steps } = lastProgressionPlan;
+  link.download = `skill-roadmap-lvl-${steps[0].playerLevel}-${steps[steps.length - 1].playerLevel}.csv`;
+  link.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  applyButtonTransform(ui.exportRoadmapBtn);
+}
+
+// === ALLOCATION TEMPLATES ===
+
+function getTemplatesFromStorage() {
+  try {
+    const templatesJson = localStorage.getItem(TEMPLATES_STORAGE_KEY);
+    return templatesJson ? JSON.parse(templatesJson) : [];
+  } catch (error) {
+    console.error("Error parsing allocation templates from localStorage:", error);
+    localStorage.removeItem(TEMPLATES_STORAGE_KEY);
+    return [];
+  }
+}
+
+function saveTemplatesToStorage(templates) {
+  localStorage.setItem(TEMPLATES_STORAGE_KEY, JSON.stringify(templates));
+}
+
+/**
+ * Gets the template picked in the templates panel: a built-in archetype ("builtin:<code>") or a saved one ("saved:<name>")
+ */
+function getSelectedTemplate() {
+  const value = ui.templateSelect.value || `builtin:${DEFAULT_ALLOCATION_TEMPLATE}`;
+  if (value.startsWith('saved:')) {
+    return getTemplatesFromStorage().find(template => template.name === value.slice('saved:'.length)) || null;
+  }
+  return ALLOCATION_TEMPLATES[value.slice('builtin:'.length)] || ALLOCATION_TEMPLATES[DEFAULT_ALLOCATION_TEMPLATE];
+}
+
+/**
+ * Lists the built-in and saved templates, keeping the selection when it still exists
+ */
+function renderTemplateOptions(selectedValue = ui.templateSelect.value) {
+  ui.templateSelect.innerHTML = '';
+  Object.entries(ALLOCATION_TEMPLATES).forEach(([code, template]) => ui.templateSelect.add(new Option(template.name, `builtin:${code}`)));
+  getTemplatesFromStorage().forEach(template => ui.templateSelect.add(new Option(`Saved: ${template.name}`, `saved:${template.name}`)));
+  if ([...ui.templateSelect.options].some(option => option.value === selectedValue)) {
+    ui.templateSelect.value = selectedValue;
+  }
+  showTemplatePriorities(getSelectedTemplate());
+}
+
+/**
+ * Names shared by other players go into modal HTML, so they are escaped first
+ */
+function escapeTemplateName(name) {
+  return Object.assign(document.createElement('span'), { textContent: name }).innerHTML;
+}
+
+/**
+ * Fills the skills from scratch with the selected template at the chosen level (the current one by default)
+ */
+function handleApplyTemplate() {
+  const template = getSelectedTemplate();
+  if (!template) return;
+  const requestedLevel = parseInt(ui.templateLevelInput.value);
+  const playerLevel = Number.isNaN(requestedLevel)
+    ? playerState.playerLevel
+    : Math.min(Math.max(requestedLevel, MIN_PLAYER_LEVEL), MAX_PLAYER_LEVEL);
+  const allocation = applyAllocationTemplate(template, playerLevel, Object.keys(playerState.skillLevelsAssigned));
+
+  playerState.playerLevel = playerLevel;
+  playerState.skillLevelsAssigned = allocation.skillLevelsAssigned;
+  playerState.skillPointsSpent = allocation.pointsSpent;
+  playerState.skillPointsAvailable = allocation.pointsAvailable;
+  playerState.currentHealth = getSkillData('health', playerState.skillLevelsAssigned.health)?.value || 50;
+  playerState.currentHunger = getSkillData('hunger', playerState.skillLevelsAssigned.hunger)?.value || 10;
+
+  renderAllUIWithBuildInfo();
+  applyButtonTransform(ui.applyTemplateBtn);
+  showActionFeedbackTooltip(ui.applyTemplateBtn, `${allocation.completedPriorities}/${template.priorities.length} priorities done, ${allocation.pointsAvailable} points left`);
+}
+
+/**
+ * Plots the damage the selected template gives at every level
+ */
+async function handleTemplateGrowth() {
+  const template = getSelectedTemplate();
+  if (!template) return;
+
+  ui.templateGrowthBtn.disabled = true;
+  try {
+    // Let the button repaint before the evaluation blocks the page
+    await new Promise(resolve => setTimeout(resolve, 0));
+    const growth = calculateTemplateGrowth(createPlayerStateSnapshot(), template, getFoodItemByCode(ui.foodSelectionAdvanced.value), {
+      opponent: getSelectedOpponent(ui.opponentSelectionAdvanced),
+      eatingPolicy: getSelectedEatingPolicy(ui.eatingPolicySelectionAdvanced)
+    });
+    showTemplateGrowth(growth, template);
+  } catch (error) {
+    console.error('Error during template growth analysis:', error);
+    showConfirmationModal({
+      title: 'Analysis Error',
+      text: 'An error occurred while evaluating the template at every level.',
+      showCancel: false,
+      confirmText: 'OK'
+    });
+  } finally {
+    ui.templateGrowthBtn.disabled = false;
+  }
+}
+
+/**
+ * Puts the selected template's JSON in the editor and copies it to the clipboard
+ */
+async function handleShareTemplate() {
+  const template = getSelectedTemplate();
+  if (!template) return;
+  const json = JSON.stringify({ name: template.name, priorities: template.priorities }, null, 2);
+  ui.templateJsonInput.value = json;
+  applyButtonTransform(ui.shareTemplateBtn);
+  try {
+    await navigator.clipboard.writeText(json);
+    showActionFeedbackTooltip(ui.shareTemplateBtn, 'Template JSON copied!');
+  } catch {
+    showActionFeedbackTooltip(ui.shareTemplateBtn, 'Copy the JSON below to share it');
+  }
+}
+
+/**
+ * Saves the template written or pasted in the editor
+ */
+async function handleSaveTemplate() {
+  let template;
+  try {
+    template = parseAllocationTemplate(ui.templateJsonInput.value, Object.keys(playerState.skillLevelsAssigned));
+  } catch (error) {
+    showConfirmationModal({
+      title: 'Invalid Template',
+      text: escapeTemplateName(error.message),
+      showCancel: false,
+      confirmText: 'OK'
+    });
+    return;
+  }
+
+  const templates = getTemplatesFromStorage();
+  const existingTemplateIndex = templates.findIndex(t => t.name === template.name);
+  if (existingTemplateIndex > -1) {
+    try {
+      await showConfirmationModal({
+        title: 'Overwrite Template?',
+        text: `A template named "<strong>${escapeTemplateName(template.name)}</strong>" already exists. Do you want to overwrite it?`
+      });
+    } catch {
+      return;
+    }
+    templates[existingTemplateIndex] = template;
+  } else {
+    templates.push(template);
+  }
+
+  saveTemplatesToStorage(templates);
+  renderTemplateOptions(`saved:${template.name}`);
+  applyButtonTransform(ui.saveTemplateBtn);
+}
+
+/**
+ * Deletes the selected saved template (built-in archetypes can't be deleted)
+ */
+async function handleDeleteTemplate() {
+  const value = ui.templateSelect.value;
+  if (!value.startsWith('saved:')) {
+    showActionFeedbackTooltip(ui.deleteTemplateBtn, "Built-in templates can't be deleted");
+    return;
+  }
+  const templateName = value.slice('saved:'.length);
+  try {
+    await showConfirmationModal({
+      title: 'Delete Template?',
+      text: `Are you sure you want to delete the template "<strong>${escapeTemplateName(templateName)}</strong>"? This action cannot be undone.`
+    });
+  } catch {
+    return;
+  }
+
+  saveTemplatesToStorage(getTemplatesFromStorage().filter(t => t.name !== templateName));
+  renderTemplateOptions();
+}
+
+// === OWNED ITEMS & LOADOUT OPTIMIZER ===
+
+function getOwnedItemsFromStorage() {
+  try {
+    const ownedItemsJson = localStorage.getItem(OWNED_ITEMS_STORAGE_KEY);
+    return ownedItemsJson ? JSON.parse(ownedItemsJson) : [];
+  } catch (error) {
+    console.error("Error parsing owned items from localStorage:", error);
+    localStorage.removeItem(OWNED_ITEMS_STORAGE_KEY);
+    return [];
+  }
+}
+
+function saveOwnedItemsToStorage(ownedItems) {
+  localStorage.setItem(OWNED_ITEMS_STORAGE_KEY, JSON.stringify(ownedItems));
+}
+
+/**
+ * Adds the item being configured, with its rolled stats and durability, to the owned items
+ */
+function handleAddOwnedItem() {
+  const item = readConfiguredItem();
+  if (!item) return;
+  const slot = playerState.selectedConfigItem.usage;
+  if (!LOADOUT_SLOTS.includes(slot)) {
+    showActionFeedbackTooltip(ui.addOwnedItemButton, 'Only weapons and equipment can be owned items');
+    return;
+  }
+  const ownedItems = getOwnedItemsFromStorage();
+  ownedItems.push({ ...item, slot });
+  saveOwnedItemsToStorage(ownedItems);
+  renderOwnedItems(ownedItems);
+  applyButtonTransform(ui.addOwnedItemButton);
+  showActionFeedbackTooltip(ui.addOwnedItemButton, `${item.name} added to owned items`);
+}
+
+function handleRemoveOwnedItem(itemIndex) {
+  const ownedItems = getOwnedItemsFromStorage().filter((_, index) => index !== itemIndex);
+  saveOwnedItemsToStorage(ownedItems);
+  renderOwnedItems(ownedItems);
+}
+
+/**
+ * Finds the best loadouts among the owned items for the current skills and buffs
+ */
+async function handleOptimizeLoadout() {
+  const ownedItems = getOwnedItemsFromStorage();
+  if (ownedItems.length === 0) {
+    showConfirmationModal({
+      title: 'No Owned Items',
+      text: 'Configure the items you own in the item panel and add them with "Add to Owned Items" first.',
+      showCancel: false,
+      confirmText: 'OK'
+    });
+    return;
+  }
+
+  ui.optimizeLoadoutBtn.disabled = true;
+  ui.optimizeLoadoutBtn.textContent = '⏳ Optimizing...';
+  try {
+    // Let the button repaint before the search blocks the page
+    await new Promise(resolve => setTimeout(resolve, 0));
+    lastLoadoutOptimization = optimizeLoadout(createPlayerStateSnapshot(), ownedItems, getFoodItemByCode(ui.foodSelectionAdvanced.value), {
+      topN: parseInt(ui.loadoutTopNSelect.value),
+      opponent: getSelectedOpponent(ui.opponentSelectionAdvanced),
+      eatingPolicy: getSelectedEatingPolicy(ui.eatingPolicySelectionAdvanced)
+    });
+    showLoadoutResults(lastLoadoutOptimization);
+  } catch (error) {
+    console.error('Error during loadout optimization:', error);
+    showConfirmationModal({
+      title: 'Optimizer Error',
+      text: 'An error occurred while searching the loadouts.',
+      showCancel: false,
+      confirmText: 'OK'
+    });
+  } finally {
+    ui.optimizeLoadoutBtn.disabled = false;
+    ui.optimizeLoadoutBtn.textContent = '🎒 Find Best Loadouts';
+  }
+}
+
+/**
+ * Equips one of the optimizer's loadouts
+ */
+function handleApplyLoadout(button) {
+  const result = lastLoadoutOptimization?.results[parseInt(button.dataset.resultIndex)];
+  if (!result) return;
+  Object.entries(result.equippedItems).forEach(([slot, ownedItem]) => {
+    if (!ownedItem) {
+      playerState.equippedItems[slot] = null;
+      return;
+    }
+    const item = JSON.parse(JSON.stringify(ownedItem));
+    delete item.slot;
+    playerState.equippedItems[slot] = item;
+  });
+  renderAllUIWithBuildInfo();
+  applyButtonTransform(button);
+  showActionFeedbackTooltip(button, 'Loadout equipped!');
+}
+
+// === ITEM ROLL QUALITY ===
+
+/**
+ * Scores the rolls of the equipped items and of the owned items (as if each one replaced the item in its slot)
+ */
+async function handleScoreItemRolls() {
+  const build = createPlayerStateSnapshot();
+  const items = [
+    ...LOADOUT_SLOTS.filter(slot => build.equippedItems[slot]).map(slot => ({ item: build.equippedItems[slot], slot, owned: false })),
+    ...getOwnedItemsFromStorage().map(item => ({ item, slot: item.slot, owned: true }))
+  ];
+
+  ui.scoreItemRollsBtn.disabled = true;
+  ui.scoreItemRollsBtn.textContent = '⏳ Scoring...';
+  try {
+    // Let the button repaint before the scoring blocks the page
+    await new Promise(resolve => setTimeout(resolve, 0));
+    const startTime = performance.now();
+    const foodItem = getFoodItemByCode(ui.foodSelectionAdvanced.value);
+    const options = {
+      opponent: getSelectedOpponent(ui.opponentSelectionAdvanced),
+      eatingPolicy: getSelectedEatingPolicy(ui.eatingPolicySelectionAdvanced)
+    };
+    const analyses = items
+      .map(({ item, slot, owned }) => {
+        const analysis = analyzeItemRoll(build, item, slot, foodItem, options);
+        return analysis && { ...analysis, owned };
+      })
+      .filter(Boolean);
+    if (analyses.length === 0) {
+      showConfirmationModal({
+        title: 'No Items to Score',
+        text: 'Equip a weapon or equipment piece, or add one to your owned items, to score its rolls.',
+        showCancel: false,
+        confirmText: 'OK'
+      });
+      return;
+    }
+    showRollQualityResults(analyses, performance.now() - startTime);
+  } catch (error) {
+    console.error('Error while scoring item rolls:', error);
+    showConfirmationModal({
+      title: 'Roll Quality Error',
+      text: 'An error occurred while scoring the item rolls.',
+      showCancel: false,
+      confirmText: 'OK'
+    });
+  } finally {
+    ui.scoreItemRollsBtn.disabled = false;
+    ui.scoreItemRollsBtn.textContent = '🎲 Score Item Rolls';
+  }
+}
+
+// === ITEM UPGRADE EVALUATOR ===
+
+/**
+ * Adds the item being configured, with its rolled stats and durability, to the upgrade candidates
+ */
+function handleAddCandidateItem() {
+  const item = readConfiguredItem();
+  if (!item) return;
+  const slot = playerState.selectedConfigItem.usage;
+  if (!LOADOUT_SLOTS.includes(slot)) {
+    showActionFeedbackTooltip(ui.addCandidateItemButton, 'Only weapons and equipment can be upgrade candidates');
+    return;
+  }
+  candidateItems.push({ ...item, slot });
+  renderCandidateItems(candidateItems);
+  applyButtonTransform(ui.addCandidateItemButton);
+  showActionFeedbackTooltip(ui.addCandidateItemButton, `${item.name} added to upgrade candidates`);
+}
+
+function handleRemoveCandidateItem(itemIndex) {
+  candidateItems = candidateItems.filter((_, index) => index !== itemIndex);
+  renderCandidateItems(candidateItems);
+}
+
+/**
+ * Compares each candidate item with the item equipped in its slot
+ */
+async function handleEvaluateUpgrades() {
+  if (candidateItems.length === 0) {
+    showConfirmationModal({
+      title: 'No Candidate Items',
+      text: 'Configure the item you are thinking of buying in the item panel and add it with "Add as Upgrade Candidate" first.',
+      showCancel: false,
+      confirmText: 'OK'
+    });
+    return;
+  }
+
+  ui.evaluateUpgradesBtn.disabled = true;
+  ui.evaluateUpgradesBtn.textContent = '⏳ Comparing...';
+  try {
+    // Let the button repaint before the comparison blocks the page
+    await new Promise(resolve => setTimeout(resolve, 0));
+    showUpgradeResults(evaluateItemUpgrades(createPlayerStateSnapshot(), candidateItems, getFoodItemByCode(ui.foodSelectionAdvanced.value), {
+      opponent: getSelectedOpponent(ui.opponentSelectionAdvanced),
+      eatingPolicy: getSelectedEatingPolicy(ui.eatingPolicySelectionAdvanced)
+    }));
+  } catch (error) {
+    console.error('Error while evaluating upgrades:', error);
+    showConfirmationModal({
+      title: 'Upgrade Evaluator Error',
+      text: 'An error occurred while comparing the candidate items.',
+      showCancel: false,
+      confirmText: 'OK'
+    });
+  } finally {
+    ui.evaluateUpgradesBtn.disabled = false;
+    ui.evaluateUpgradesBtn.textContent = '⚖️ Compare With Equipped';
+  }
+}
+
+// === FIGHT ECONOMICS ===
+
+function getPricesFromStorage() {
+  try {
+    const pricesJson = localStorage.getItem(PRICES_STORAGE_KEY);
+    return pricesJson ? JSON.parse(pricesJson) : { materials: {}, products: {}, productionPoint: null };
+  } catch (error) {
+    console.error("Error parsing market prices from localStorage:", error);
+    localStorage.removeItem(PRICES_STORAGE_KEY);
+    return { materials: {}, products: {}, productionPoint: null };
+  }
+}
+
+function savePricesToStorage(prices) {
+  localStorage.setItem(PRICES_STORAGE_KEY, JSON.stringify(prices));
+}
+
+/**
+ * Reads the prices entered in the economics panel; products and materials left empty have no price
+ * @returns {object} The prices (see calculateProductCost)
+ */
+function readEnteredPrices() {
+  const prices = { materials: {}, products: {}, productionPoint: null };
+  document.querySelectorAll('input[data-price-kind]').forEach(input => {
+    const price = parseFloat(input.value);
+    if (Number.isFinite(price)) prices[input.dataset.priceKind][input.dataset.priceCode] = price;
+  });
+  const productionPointPrice = parseFloat(ui.productionPointPriceInput.value);
+  if (Number.isFinite(productionPointPrice)) prices.productionPoint = productionPointPrice;
+  return prices;
+}
+
+/**
+ * Simulates the current build with each ammo type (and without ammo) and costs what the fights consume
+ */
+async function handleCompareAmmoCosts() {
+  if (activeAmmoCostComparison) {
+    activeAmmoCostComparison.abort();
+    return;
+  }
+  const build = createPlayerStateSnapshot();
+  const prices = readEnteredPrices();
+  const foodCode = ui.foodSelectionAdvanced.value;
+  const foodItem = getFoodItemByCode(foodCode);
+  const { runs, autoRuns } = getSelectedRunMode(ui.simulationRunsSelect);
+  const seed = parseSeed(ui.simulationSeedInput.value) ?? createRandomSeed();
+  const opponent = getSelectedOpponent(ui.opponentSelectionAdvanced);
+  const lootTable = getSelectedLootTable(ui.lootTableSelectionAdvanced);
+  const eatingPolicy = getSelectedEatingPolicy(ui.eatingPolicySelectionAdvanced);
+  const stock = getEnteredStock(ui.stockModeAdvanced, ui.stockInputsAdvanced);
+  const foodInventory = getEnteredFoodInventory(ui.foodModeAdvanced, ui.foodInventoryAdvanced, ui.foodOrderAdvanced);
+  // Ammo needs a weapon, so without one only the fight without ammo is costed
+  const ammoOptions = build.equippedItems.weapon ? [null, ...getAmmoTypes()] : [null];
+
+  // While running, the button becomes a cancel button
+  const controller = new AbortController();
+  activeAmmoCostComparison = controller;
+  ui.compareAmmoCostsBtn.textContent = '⏹ Cancel Cost Comparison';
+  try {
+    const rows = [];
+    // Every ammo option shares the seed, so they face the same dice and differences are due to the ammo
+    for (const ammoCode of ammoOptions) {
+      const variant = createBuffVariant(build, 'ammo', ammoCode);
+      const results = await runMonteCarloInWorkers(runs, variant, foodItem, {
+        seed,
+        opponent,
+        lootTable,
+        eatingPolicy,
+        stock,
+        foodInventory,
+        autoRuns,
+        signal: controller.signal,
+        onProgress: (progress) => renderSimulationProgress(ui.simulationProgressAdvanced, progress, ammoCode ? formatCodeToName(ammoCode) : 'No Ammo')
+      });
+      const damage = results.damageStats.mean;
+      const consumption = calculateFightConsumption(variant, foodCode, {
+        hits: results.ticksStats.mean,
+        ammoUsed: results.supplyStats?.ammoUsed,
+        foodEaten: results.foodStats.mean,
+        foodEatenByType: results.foodInventoryStats?.eatenPerFight,
+        pillsUsed: results.supplyStats?.pillsPerFight
+      });
+      rows.push({ ammoCode, damage, cost: calculateFightCost(consumption, prices, damage) });
+    }
+    showAmmoCostComparison(rows, {
+      pillCode: build.activeBuffs.consumable?.code,
+      foodCode,
+      foodInventory,
+      currentAmmoCode: build.activeBuffs.ammo?.code ?? null
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') return;
+    console.error('Error while comparing ammo costs:', error);
+    showConfirmationModal({
+      title: 'Simulation Error',
+      text: 'An error occurred while simulating the ammo costs.',
+      showCancel: false,
+      confirmText: 'OK'
+    });
+  } finally {
+    activeAmmoCostComparison = null;
+    hideSimulationProgress(ui.simulationProgressAdvanced);
+    ui.compareAmmoCostsBtn.textContent = '💰 Compare Ammo Costs';
+  }
+}
+
+// === SUPPLY PLANNER ===
+
+/**
+ * Simulates the build with the chosen consumables and works out the products, raw materials and
+ * production points needed for the planned number of fights (or for the total damage goal)
+ */
+async function handlePlanSupplies() {
+  if (activeSupplyPlan) {
+    activeSupplyPlan.abort();
+    return;
+  }
+  const amount = parseInt(ui.supplyAmountInput.value);
+  if (!(amount > 0)) {
+    showActionFeedbackTooltip(ui.planSuppliesBtn, 'Enter a number of fights or a total damage above 0');
+    return;
+  }
+  const snapshot = createPlayerStateSnapshot();
+  if (ui.supplyAmmoSelect.value && !snapshot.equippedItems.weapon) {
+    showActionFeedbackTooltip(ui.planSuppliesBtn, "You can't use ammo without a weapon equipped!");
+    return;
+  }
+  const foodCode = ui.supplyFoodSelect.value;
+  const foodItem = getFoodItemByCode(foodCode);
+  const build = createBuffVariant(
+    createBuffVariant(snapshot, 'ammo', ui.supplyAmmoSelect.value || null),
+    'consumable',
+    ui.supplyPillSelect.value || null
+  );
+  const { runs, autoRuns } = getSelectedRunMode(ui.simulationRunsSelect);
+
+  // While running, the button becomes a cancel button
+  const controller = new AbortController();
+  activeSupplyPlan = controller;
+  ui.planSuppliesBtn.textContent = '⏹ Cancel Plan';
+  try {
+    const results = await runMonteCarloInWorkers(runs, build, foodItem, {
+      seed: parseSeed(ui.simulationSeedInput.value) ?? createRandomSeed(),
+      opponent: getSelectedOpponent(ui.opponentSelectionAdvanced),
+      lootTable: getSelectedLootTable(ui.lootTableSelectionAdvanced),
+      eatingPolicy: getSelectedEatingPolicy(ui.eatingPolicySelectionAdvanced),
+      stock: getEnteredStock(ui.stockModeAdvanced, ui.stockInputsAdvanced),
+      foodInventory: getEnteredFoodInventory(ui.foodModeAdvanced, ui.foodInventoryAdvanced, ui.foodOrderAdvanced),
+      autoRuns,
+      signal: controller.signal,
+      onProgress: (progress) => renderSimulationProgress(ui.simulationProgressAdvanced, progress, 'Supplies')
+    });
+    const damagePerFight = results.damageStats.mean;
+    const fights = ui.supplyGoalSelect.value === 'damage'
+      ? Math.ceil(amount / Math.max(damagePerFight, 1))
+      : amount;
+    const consumption = calculateFightConsumption(build, foodCode, {
+      hits: results.ticksStats.mean,
+      ammoUsed: results.supplyStats?.ammoUsed,
+      foodEaten: results.foodStats.mean,
+      foodEatenByType: results.foodInventoryStats?.eatenPerFight,
+      pillsUsed: results.supplyStats?.pillsPerFight
+    });
+    showSupplyPlan(calculateBillOfMaterials(consumption, fights), damagePerFight);
+  } catch (error) {
+    if (error.name === 'AbortError') return;
+    console.error('Error while planning supplies:', error);
+    showConfirmationModal({
+      title: 'Simulation Error',
+      text: 'An error occurred while simulating the supplies.',
+      showCancel: false,
+      confirmText: 'OK'
+    });
+  } finally {
+    activeSupplyPlan = null;
+    hideSimulationProgress(ui.simulationProgressAdvanced);
+    ui.planSuppliesBtn.textContent = '🏭 Plan Supplies';
+  }
+}
 
 /**
  * Initializes advanced simulation section
@@ -1096,6 +2084,49 @@ function initializeAdvancedSimulation() {
     applyButtonTransform(ui.loadBuildBBtn);
   });
   ui.compareBuildsBtn.addEventListener('click', handleCompareBuilds);
+  ui.optimizeSkillsBtn.addEventListener('click', handleOptimizeSkills);
+  ui.optimizerObjectiveSelect.addEventListener('change', () => {
+    ui.optimizerWeights.classList.toggle('hidden', ui.optimizerObjectiveSelect.value !== 'mixed');
+  });
+  ui.marginalSkillsBtn.addEventListener('click', handleAnalyzeMarginalSkills);
+  ui.planProgressionBtn.addEventListener('click', handlePlanProgression);
+  ui.exportRoadmapBtn.addEventListener('click', handleExportRoadmap);
+  ui.templateSelect.addEventListener('change', () => showTemplatePriorities(getSelectedTemplate()));
+  ui.applyTemplateBtn.addEventListener('click', handleApplyTemplate);
+  ui.templateGrowthBtn.addEventListener('click', handleTemplateGrowth);
+  ui.shareTemplateBtn.addEventListener('click', handleShareTemplate);
+  ui.saveTemplateBtn.addEventListener('click', handleSaveTemplate);
+  ui.deleteTemplateBtn.addEventListener('click', handleDeleteTemplate);
+  renderTemplateOptions();
+  ui.optimizerResultsBody.addEventListener('click', (event) => {
+    const button = event.target.closest('.optimizer-apply-btn');
+    if (button) handleApplyOptimizedAllocation(button);
+  });
+  ui.ownedItemsList.addEventListener('click', (event) => {
+    const button = event.target.closest('.remove-owned-item-btn');
+    if (button) handleRemoveOwnedItem(parseInt(button.dataset.itemIndex));
+  });
+  ui.optimizeLoadoutBtn.addEventListener('click', handleOptimizeLoadout);
+  ui.loadoutResultsBody.addEventListener('click', (event) => {
+    const button = event.target.closest('.loadout-apply-btn');
+    if (button) handleApplyLoadout(button);
+  });
+  renderOwnedItems(getOwnedItemsFromStorage());
+  ui.scoreItemRollsBtn.addEventListener('click', handleScoreItemRolls);
+  ui.candidateItemsList.addEventListener('click', (event) => {
+    const button = event.target.closest('.remove-candidate-item-btn');
+    if (button) handleRemoveCandidateItem(parseInt(button.dataset.itemIndex));
+  });
+  ui.evaluateUpgradesBtn.addEventListener('click', handleEvaluateUpgrades);
+  renderPriceInputs(getRawMaterials(), getProducedItems(), getPricesFromStorage());
+  [ui.materialPrices, ui.productPrices, ui.productionPointPriceInput].forEach(element => {
+    element.addEventListener('change', () => savePricesToStorage(readEnteredPrices()));
+  });
+  ui.compareAmmoCostsBtn.addEventListener('click', handleCompareAmmoCosts);
+  renderSupplyOptions({ ammoTypes: getAmmoTypes(), pillTypes: getPillTypes(), foodTypes: getFoodTypes() });
+  ui.planSuppliesBtn.addEventListener('click', handlePlanSupplies);
+  initializeStockInputs(ui.stockModeAdvanced, ui.stockInputsAdvanced);
+  initializeFoodInventory(ui.foodModeAdvanced, ui.foodInventoryAdvanced);
 
   // Update build info when player state changes
   // Create a wrapper function that includes build info updates
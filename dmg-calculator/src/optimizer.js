@@ -0,0 +1,801 @@
+// Optimizer: Finds the best legal skill point allocations of a player level, what each single skill point is worth,
+// the level-by-level way to a target allocation, what allocation templates (build archetypes) give,
+// the best equipment loadouts from the items a player owns, how good an item's stat rolls are
+// and what a hypothetical item would change over the equipped one.
+
+import {
+    SKILL_POINTS_PER_LEVEL,
+    MIN_PLAYER_LEVEL,
+    MAX_PLAYER_LEVEL,
+    MIN_SKILL_LEVEL,
+    MAX_SKILL_LEVEL,
+    EATING_POLICIES,
+    DEFAULT_EATING_POLICY,
+    skillsData
+} from './state.js';
+import {
+    getSkillData,
+    calculateCumulativeSkillCost,
+    compileCombatProfile,
+    calculateStatDetails,
+    getItemDurability,
+    getItemMaxDurability,
+    MIN_HEALTH_TO_FIGHT,
+    MONTE_CARLO_MAX_TICKS,
+    getPillEffect,
+    getPillStateBuffs,
+    getPillSchedule
+} from './calculator.js';
+import { calculateHitMoments, calculateExpectedFightLength } from './analytic.js';
+
+// Damage per hit only depends on the offense skills and hits survived only on the defense skills,
+// so each group is searched on its own and only the best allocations of both are paired up.
+// Skills in neither group (lootChance) keep their current level.
+const OFFENSE_SKILLS = ['attack', 'precision', 'criticalChance', 'criticalDamages'];
+const DEFENSE_SKILLS = ['health', 'hunger', 'armor', 'dodge'];
+// Allocations are compared at the average skill roll
+const OPTIMIZER_RANDOM_FACTOR = 1;
+// Pairs ranked with the estimated fight length that get re-scored with the exact one
+const EXACT_CANDIDATES_PER_RESULT = 4;
+const MIN_EXACT_CANDIDATES = 20;
+// Equipment slots the loadout optimizer fills (ammo is a buff, not a slot)
+export const LOADOUT_SLOTS = ['weapon', 'helmet', 'chest', 'pants', 'boots', 'gloves'];
+// Owned items considered per slot (the best by themselves); weapons trade damage for durability, so all are considered
+const LOADOUT_OPTIONS_PER_SLOT = 3;
+// Scores closer than this are ties (the exact solver sums many small probabilities)
+const SCORE_TOLERANCE = 1e-9;
+
+// Score of an allocation's expected numbers for each objective (higher is better).
+// The mix weighs each number relative to the current build, so the weights don't depend on the units.
+const OBJECTIVE_SCORES = {
+    damage: (metrics) => metrics.damage,
+    damagePerHit: (metrics) => metrics.damagePerHit,
+    hits: (metrics) => metrics.hits,
+    mixed: (metrics, { weights, baseline }) => Object.keys(weights)
+        .reduce((acc, metric) => acc + (weights[metric] || 0) * (baseline[metric] > 0 ? metrics[metric] / baseline[metric] : 0), 0)
+};
+export const DEFAULT_OPTIMIZER_OBJECTIVE = 'damage';
+export const DEFAULT_OPTIMIZER_WEIGHTS = { damage: 1, damagePerHit: 0, hits: 0 };
+
+/**
+ * Lists the levels of a skill a player of the given level can reach, with their total point cost.
+ * Stops at the first level that isn't unlocked yet.
+ */
+function getUnlockedLevels(skillCode, playerLevel) {
+    const levels = [{ level: MIN_SKILL_LEVEL, cost: 0 }];
+    for (let level = MIN_SKILL_LEVEL + 1; level <= MAX_SKILL_LEVEL; level++) {
+        const levelData = getSkillData(skillCode, level);
+        if (!levelData || playerLevel < levelData.unlockAtLevel) break;
+        levels.push({ level, cost: calculateCumulativeSkillCost(skillCode, level) });
+    }
+    return levels;
+}
+
+/**
+ * Enumerates every allocation of a group of skills that fits in the budget.
+ * @returns {Array<object>} Allocations as { levels: { skillCode: level }, cost }.
+ */
+function enumerateAllocations(skillCodes, playerLevel, budget) {
+    const options = skillCodes.map(skillCode => getUnlockedLevels(skillCode, playerLevel));
+    const allocations = [];
+    const visit = (index, levels, cost) => {
+        if (index === skillCodes.length) {
+            allocations.push({ levels: { ...levels }, cost });
+            return;
+        }
+        for (const option of options[index]) {
+            if (cost + option.cost > budget) break;
+            levels[skillCodes[index]] = option.level;
+            visit(index + 1, levels, cost + option.cost);
+        }
+    };
+    visit(0, {}, 0);
+    return allocations;
+}
+
+/**
+ * Keeps the allocations that no cheaper (or equally priced) allocation matches in value.
+ * Pairing only these is enough, since any objective improves with both damage per hit and hits.
+ */
+function getParetoFrontier(allocations) {
+    const sorted = [...allocations].sort((a, b) => a.cost - b.cost || b.value - a.value);
+    const frontier = [];
+    sorted.forEach(allocation => {
+        if (!frontier.length || allocation.value > frontier[frontier.length - 1].value) frontier.push(allocation);
+    });
+    return frontier;
+}
+
+/**
+ * Fresh build with the given skill levels, at full health and hunger like a new fight.
+ */
+function createCandidateBuild(build, skillLevelsAssigned) {
+    return {
+        ...build,
+        skillLevelsAssigned,
+        currentHealth: getSkillData('health', skillLevelsAssigned.health)?.value || 50,
+        currentHunger: getSkillData('hunger', skillLevelsAssigned.hunger)?.value || 10
+    };
+}
+
+/**
+ * Quick estimate of the hits a build survives: the health it can spend (start health plus the food
+ * it may eat) over the expected health lost per hit, capped by the weapon and the simulation limit.
+ * Only used to shortlist allocations; the shortlist is re-scored exactly.
+ */
+function estimateHitsSurvived(profile, healthPerFood, eatingPolicy) {
+    const { expectedHealthLost } = calculateHitMoments(profile);
+    const usableHunger = eatingPolicy.never ? 0 : Math.max(0, profile.startHunger - (eatingPolicy.keepHunger || 0));
+    const healthPool = Math.max(0, profile.startHealth - MIN_HEALTH_TO_FIGHT) + usableHunger * healthPerFood;
+    const hits = expectedHealthLost > 0 ? healthPool / expectedHealthLost + 1 : Infinity;
+    return Math.min(hits, profile.startDurability.weapon, MONTE_CARLO_MAX_TICKS);
+}
+
+/**
+ * Quick estimate of the mean damage per fight of a skill allocation (see estimateHitsSurvived).
+ */
+function estimateFightDamage(build, skillLevelsAssigned, healthPerFood, { opponent, eatingPolicy }) {
+    const profile = compileCombatProfile(createCandidateBuild(build, skillLevelsAssigned), OPTIMIZER_RANDOM_FACTOR, { opponent });
+    return calculateHitMoments(profile).expectedDamage * estimateHitsSurvived(profile, healthPerFood, eatingPolicy);
+}
+
+/**
+ * Expected length of a build's fight from the exact fight solver when it can handle the opponent,
+ * else from the estimate. A pill that wears off only changes the damage, so its hits are split by pill state.
+ * @returns {object} Hits, food eaten (null for the estimate), whether they are exact
+ *   and the hits dealt in each pill state (null without a pill that wears off).
+ */
+function calculateFightLength(build, foodItem, { opponent, eatingPolicy }) {
+    const fightLength = calculateExpectedFightLength(build, foodItem, OPTIMIZER_RANDOM_FACTOR, { opponent, eatingPolicy });
+    if (fightLength) return { ...fightLength, exact: true };
+    const profile = compileCombatProfile(build, OPTIMIZER_RANDOM_FACTOR, { opponent });
+    const hits = estimateHitsSurvived(profile, foodItem?.flatStats?.healthRegen || 0, eatingPolicy);
+    const pillEffect = getPillEffect(build.activeBuffs.consumable);
+    let hitsByPillState = null;
+    if (pillEffect) {
+        hitsByPillState = {};
+        getPillSchedule(pillEffect, Math.ceil(hits)).states.forEach((state, hit) => {
+            hitsByPillState[state] = (hitsByPillState[state] || 0) + Math.min(1, hits - hit);
+        });
+    }
+    return { hits, foodEaten: null, exact: false, hitsByPillState };
+}
+
+/**
+ * Expected numbers of a build for a fight length (see calculateFightLength): damage per hit, hits survived
+ * and mean damage per fight. With a pill that wears off, damage per hit weighs each pill state's one
+ * by the hits dealt in it. Damage per fight is hits times damage per hit, since damage rolls don't affect
+ * how long the fight lasts.
+ */
+function getFightMetrics(build, fightLength, { opponent }) {
+    const damageWith = (consumable) => calculateHitMoments(compileCombatProfile(
+        { ...build, activeBuffs: { ...build.activeBuffs, consumable } }, OPTIMIZER_RANDOM_FACTOR, { opponent }
+    )).expectedDamage;
+    const { hits, hitsByPillState } = fightLength;
+    const pillHits = hitsByPillState ? Object.values(hitsByPillState).reduce((acc, stateHits) => acc + stateHits, 0) : 0;
+    let damagePerHit;
+    if (pillHits > 0) {
+        const buffs = getPillStateBuffs(build.activeBuffs.consumable);
+        damagePerHit = Object.entries(hitsByPillState)
+            .reduce((acc, [state, stateHits]) => acc + damageWith(buffs[state]) * stateHits, 0) / pillHits;
+    } else {
+        damagePerHit = damageWith(build.activeBuffs.consumable);
+    }
+    return {
+        damagePerHit,
+        hits,
+        damage: damagePerHit * hits,
+        foodEaten: fightLength.foodEaten,
+        exact: fightLength.exact
+    };
+}
+
+/**
+ * Expected numbers of a build (see getFightMetrics).
+ */
+function evaluateBuild(build, foodItem, options) {
+    return getFightMetrics(build, calculateFightLength(build, foodItem, options), options);
+}
+
+/**
+ * Finds the best skill allocations of a player level for the current equipment and buffs.
+ * Allocations respect the level's skill points (SKILL_POINTS_PER_LEVEL each), the cost of every skill level
+ * and its unlockAtLevel. Allocations beaten by a cheaper one are never listed.
+ * @param {object} build - The build whose equipment and buffs are kept (see createBuild).
+ * @param {object} foodItem - The food item eaten when health runs low.
+ * @param {object} [options]
+ * @param {number} [options.playerLevel] - Level to allocate the points of, the build's one by default.
+ * @param {string} [options.objective] - 'damage' (mean damage per fight), 'damagePerHit', 'hits' or 'mixed'.
+ * @param {object} [options.weights] - Weights of damage, damagePerHit and hits for the 'mixed' objective.
+ * @param {number} [options.topN] - Number of allocations returned.
+ * @param {object} [options.opponent] - The opponent fought (see OPPONENT_PROFILES).
+ * @param {object} [options.eatingPolicy] - When food is eaten (see EATING_POLICIES).
+ * @returns {object} The level, its point budget, the current build's numbers (baseline) and the ranked results,
+ *   each with its skill levels, points spent, expected numbers and score.
+ */
+export function optimizeSkillAllocation(build, foodItem, {
+    playerLevel = build.playerLevel,
+    objective = DEFAULT_OPTIMIZER_OBJECTIVE,
+    weights = DEFAULT_OPTIMIZER_WEIGHTS,
+    topN = 5,
+    opponent,
+    eatingPolicy = EATING_POLICIES[DEFAULT_EATING_POLICY]
+} = {}) {
+    const startTime = performance.now();
+    const scoreOf = OBJECTIVE_SCORES[objective] || OBJECTIVE_SCORES[DEFAULT_OPTIMIZER_OBJECTIVE];
+    const options = { opponent, eatingPolicy };
+    const budget = playerLevel * SKILL_POINTS_PER_LEVEL;
+    const baseline = evaluateBuild(createCandidateBuild(build, build.skillLevelsAssigned), foodItem, options);
+    const scoreContext = { weights, baseline };
+
+    // Skills outside both groups keep their level while it's unlocked and affordable
+    const keptLevels = {};
+    let keptCost = 0;
+    Object.keys(build.skillLevelsAssigned)
+        .filter(skillCode => !OFFENSE_SKILLS.includes(skillCode) && !DEFENSE_SKILLS.includes(skillCode))
+        .forEach(skillCode => {
+            const unlocked = getUnlockedLevels(skillCode, playerLevel);
+            const kept = unlocked[Math.min(build.skillLevelsAssigned[skillCode], unlocked.length - 1)];
+            const affordable = keptCost + kept.cost <= budget ? kept : unlocked[0];
+            keptLevels[skillCode] = affordable.level;
+            keptCost += affordable.cost;
+        });
+    const groupBudget = budget - keptCost;
+    const baseLevels = { ...build.skillLevelsAssigned, ...keptLevels };
+
+    const offenseAllocations = enumerateAllocations(OFFENSE_SKILLS, playerLevel, groupBudget);
+    const defenseAllocations = enumerateAllocations(DEFENSE_SKILLS, playerLevel, groupBudget);
+    const offense = getParetoFrontier(offenseAllocations.map(allocation => {
+        const profile = compileCombatProfile(createCandidateBuild(build, { ...baseLevels, ...allocation.levels }), OPTIMIZER_RANDOM_FACTOR, { opponent });
+        return { ...allocation, value: calculateHitMoments(profile).expectedDamage };
+    }));
+    const healthPerFood = foodItem?.flatStats?.healthRegen || 0;
+    const defense = getParetoFrontier(defenseAllocations.map(allocation => {
+        const profile = compileCombatProfile(createCandidateBuild(build, { ...baseLevels, ...allocation.levels }), OPTIMIZER_RANDOM_FACTOR, { opponent });
+        return { ...allocation, value: estimateHitsSurvived(profile, healthPerFood, eatingPolicy) };
+    }));
+
+    // Rank every affordable pair with the estimate, ties broken by damage per fight
+    const byScore = (a, b) => (Math.abs(b.score - a.score) > SCORE_TOLERANCE * Math.abs(a.score) ? b.score - a.score : 0)
+        || b.metrics.damage - a.metrics.damage;
+    const estimated = [];
+    offense.forEach(offenseAllocation => {
+        defense.forEach(defenseAllocation => {
+            if (offenseAllocation.cost + defenseAllocation.cost > groupBudget) return;
+            const metrics = {
+                damagePerHit: offenseAllocation.value,
+                hits: defenseAllocation.value,
+                damage: offenseAllocation.value * defenseAllocation.value
+            };
+            estimated.push({ offense: offenseAllocation, defense: defenseAllocation, metrics, score: scoreOf(metrics, scoreContext) });
+        });
+    });
+    estimated.sort(byScore);
+
+    // Re-score the shortlist with the exact fight length (shared by pairs with the same defense)
+    const fightLengths = new Map();
+    const results = estimated.slice(0, Math.max(topN * EXACT_CANDIDATES_PER_RESULT, MIN_EXACT_CANDIDATES)).map(candidate => {
+        const skillLevelsAssigned = { ...baseLevels, ...candidate.offense.levels, ...candidate.defense.levels };
+        const candidateBuild = createCandidateBuild(build, skillLevelsAssigned);
+        const defenseKey = DEFENSE_SKILLS.map(skillCode => candidate.defense.levels[skillCode]).join(',');
+        if (!fightLengths.has(defenseKey)) {
+            fightLengths.set(defenseKey, calculateFightLength(candidateBuild, foodItem, options));
+        }
+        const metrics = getFightMetrics(candidateBuild, fightLengths.get(defenseKey), options);
+        return {
+            skillLevelsAssigned,
+            pointsSpent: keptCost + candidate.offense.cost + candidate.defense.cost,
+            metrics,
+            score: scoreOf(metrics, scoreContext)
+        };
+    });
+    results.sort(byScore);
+
+    return {
+        playerLevel,
+        budget,
+        objective: OBJECTIVE_SCORES[objective] ? objective : DEFAULT_OPTIMIZER_OBJECTIVE,
+        baseline: { ...baseline, score: scoreOf(baseline, scoreContext) },
+        results: results.slice(0, topN),
+        evaluated: offenseAllocations.length + defenseAllocations.length,
+        computeTimeMs: performance.now() - startTime
+    };
+}
+
+/**
+ * Expected value of one more (and one less) level of every skill for the current build.
+ * Upgrades respect the cost and unlockAtLevel of the next level; refunds give back the cost of the current one.
+ * Every fight starts at full health and hunger, like the optimizer's.
+ * @param {object} build - The build to analyze (see createBuild).
+ * @param {object} foodItem - The food item eaten when health runs low.
+ * @param {object} [options]
+ * @param {object} [options.opponent] - The opponent fought (see OPPONENT_PROFILES).
+ * @param {object} [options.eatingPolicy] - When food is eaten (see EATING_POLICIES).
+ * @returns {object} The build's numbers (baseline), its unspent points and one entry per skill with the upgrade
+ *   (status, cost, change in damage/hits and damage gained per point) and the refund (points back and damage lost
+ *   per point), ranked by damage gained per point, upgrades available right now first.
+ */
+export function calculateMarginalSkillValues(build, foodItem, {
+    opponent,
+    eatingPolicy = EATING_POLICIES[DEFAULT_EATING_POLICY]
+} = {}) {
+    const options = { opponent, eatingPolicy };
+    const baseline = evaluateBuild(createCandidateBuild(build, build.skillLevelsAssigned), foodItem, options);
+    const pointsSpent = Object.entries(build.skillLevelsAssigned)
+        .reduce((acc, [skillCode, level]) => acc + calculateCumulativeSkillCost(skillCode, level), 0);
+    const pointsAvailable = build.playerLevel * SKILL_POINTS_PER_LEVEL - pointsSpent;
+    const changeTo = (skillCode, level) => {
+        const metrics = evaluateBuild(createCandidateBuild(build, { ...build.skillLevelsAssigned, [skillCode]: level }), foodItem, options);
+        return {
+            metrics,
+            delta: {
+                damage: metrics.damage - baseline.damage,
+                hits: metrics.hits - baseline.hits,
+                damagePerHit: metrics.damagePerHit - baseline.damagePerHit
+            }
+        };
+    };
+
+    const skills = Object.entries(build.skillLevelsAssigned).map(([skillCode, level]) => {
+        let upgrade = null;
+        const nextLevel = getSkillData(skillCode, level + 1);
+        if (level < MAX_SKILL_LEVEL && nextLevel) {
+            let status = 'available';
+            if (build.playerLevel < nextLevel.unlockAtLevel) status = 'locked';
+            else if (pointsAvailable < nextLevel.cost) status = 'not_enough_points';
+            const change = changeTo(skillCode, level + 1);
+            upgrade = {
+                level: level + 1,
+                cost: nextLevel.cost,
+                unlockAtLevel: nextLevel.unlockAtLevel,
+                status,
+                ...change,
+                gainPerPoint: nextLevel.cost > 0 ? change.delta.damage / nextLevel.cost : change.delta.damage
+            };
+        }
+
+        let refund = null;
+        if (level > MIN_SKILL_LEVEL) {
+            const refundedPoints = getSkillData(skillCode, level)?.cost || 0;
+            const change = changeTo(skillCode, level - 1);
+            refund = {
+                level: level - 1,
+                points: refundedPoints,
+                ...change,
+                lossPerPoint: refundedPoints > 0 ? -change.delta.damage / refundedPoints : -change.delta.damage
+            };
+        }
+        return { skillCode, level, upgrade, refund };
+    });
+
+    // Upgrades available now first, then the ones waiting for points or a level, then maxed skills
+    const statusRank = { available: 0, not_enough_points: 1, locked: 2 };
+    skills.sort((a, b) => (statusRank[a.upgrade?.status] ?? 3) - (statusRank[b.upgrade?.status] ?? 3)
+        || (b.upgrade?.gainPerPoint ?? -Infinity) - (a.upgrade?.gainPerPoint ?? -Infinity));
+
+    return { baseline, pointsAvailable, skills };
+}
+
+/**
+ * Plans the way from a build to a target skill allocation, level by level up to MAX_PLAYER_LEVEL.
+ * At every level the available points buy the target's missing skill levels that are unlocked and affordable,
+ * the one adding the most estimated damage per point first; points that can't buy anything yet are saved.
+ * Skills already above the target keep their level.
+ * @param {object} build - The starting build, at its level (see createBuild).
+ * @param {object} targetSkillLevels - The skill levels to reach.
+ * @param {object} foodItem - The food item eaten when health runs low.
+ * @param {object} [options]
+ * @param {object} [options.opponent] - The opponent fought (see OPPONENT_PROFILES).
+ * @param {object} [options.eatingPolicy] - When food is eaten (see EATING_POLICIES).
+ * @returns {object} One step per level (skill levels bought, points left, skill levels and expected numbers),
+ *   the level the target is reached at (or null) and the skill levels still missing at MAX_PLAYER_LEVEL.
+ */
+export function planSkillProgression(build, targetSkillLevels, foodItem, {
+    opponent,
+    eatingPolicy = EATING_POLICIES[DEFAULT_EATING_POLICY]
+} = {}) {
+    const options = { opponent, eatingPolicy };
+    const healthPerFood = foodItem?.flatStats?.healthRegen || 0;
+    const skillLevels = { ...build.skillLevelsAssigned };
+    let pointsSpent = Object.entries(skillLevels).reduce((acc, [skillCode, level]) => acc + calculateCumulativeSkillCost(skillCode, level), 0);
+    const isMissing = (skillCode) => skillLevels[skillCode] < Math.min(targetSkillLevels[skillCode] ?? MIN_SKILL_LEVEL, MAX_SKILL_LEVEL);
+    const metricsByAllocation = new Map();
+    const steps = [];
+    let reachedAtLevel = null;
+
+    for (let playerLevel = build.playerLevel; playerLevel <= MAX_PLAYER_LEVEL; playerLevel++) {
+        const purchases = [];
+        for (;;) {
+            const pointsAvailable = playerLevel * SKILL_POINTS_PER_LEVEL - pointsSpent;
+            const currentDamage = estimateFightDamage(build, skillLevels, healthPerFood, options);
+            let best = null;
+            Object.keys(skillLevels).filter(isMissing).forEach(skillCode => {
+                const nextLevel = getSkillData(skillCode, skillLevels[skillCode] + 1);
+                if (!nextLevel || playerLevel < nextLevel.unlockAtLevel || pointsAvailable < nextLevel.cost) return;
+                const gain = estimateFightDamage(build, { ...skillLevels, [skillCode]: skillLevels[skillCode] + 1 }, healthPerFood, options) - currentDamage;
+                const gainPerPoint = nextLevel.cost > 0 ? gain / nextLevel.cost : gain;
+                if (!best || gainPerPoint > best.gainPerPoint) best = { skillCode, cost: nextLevel.cost, gainPerPoint };
+            });
+            if (!best) break;
+            skillLevels[best.skillCode]++;
+            pointsSpent += best.cost;
+            purchases.push({ skillCode: best.skillCode, level: skillLevels[best.skillCode], cost: best.cost });
+        }
+
+        // Levels without purchases fight exactly like the previous one
+        const allocationKey = JSON.stringify(skillLevels);
+        if (!metricsByAllocation.has(allocationKey)) {
+            metricsByAllocation.set(allocationKey, evaluateBuild(createCandidateBuild(build, { ...skillLevels }), foodItem, options));
+        }
+        steps.push({
+            playerLevel,
+            purchases,
+            pointsSpent,
+            pointsAvailable: playerLevel * SKILL_POINTS_PER_LEVEL - pointsSpent,
+            skillLevelsAssigned: { ...skillLevels },
+            metrics: metricsByAllocation.get(allocationKey)
+        });
+        if (reachedAtLevel === null && !Object.keys(skillLevels).some(isMissing)) reachedAtLevel = playerLevel;
+    }
+
+    return {
+        targetSkillLevels,
+        steps,
+        reachedAtLevel,
+        missing: Object.keys(skillLevels).filter(isMissing)
+            .map(skillCode => ({ skillCode, level: skillLevels[skillCode], targetLevel: targetSkillLevels[skillCode] }))
+    };
+}
+
+/**
+ * Reads an allocation template from JSON (see ALLOCATION_TEMPLATES), e.g. one shared by another player.
+ * @param {string} json - The template as JSON: { name, priorities: [{ skill, level }] }.
+ * @param {Array<string>} skillCodes - The skills a template may use.
+ * @returns {object} The validated template, with only the known fields.
+ * @throws {Error} With a readable message when the JSON or the template is invalid.
+ */
+export function parseAllocationTemplate(json, skillCodes) {
+    let template;
+    try {
+        template = JSON.parse(json);
+    } catch {
+        throw new Error('The template is not valid JSON.');
+    }
+    if (typeof template?.name !== 'string' || !template.name.trim()) throw new Error('The template needs a name.');
+    if (!Array.isArray(template.priorities) || template.priorities.length === 0) throw new Error('The template needs a list of priorities.');
+    const priorities = template.priorities.map((priority, index) => {
+        if (!skillCodes.includes(priority?.skill)) throw new Error(`Priority ${index + 1}: unknown skill "${priority?.skill}".`);
+        if (!Number.isInteger(priority.level) || priority.level < MIN_SKILL_LEVEL || priority.level > MAX_SKILL_LEVEL) {
+            throw new Error(`Priority ${index + 1}: the level must be a whole number from ${MIN_SKILL_LEVEL} to ${MAX_SKILL_LEVEL}.`);
+        }
+        return { skill: priority.skill, level: priority.level };
+    });
+    return { name: template.name.trim(), priorities };
+}
+
+/**
+ * Fills a fresh allocation following a template's priorities in order, at the given player level.
+ * A priority waiting for its unlock level is skipped for now; one the points can't pay for stops the template,
+ * saving the points for it.
+ * @param {object} template - The template (see ALLOCATION_TEMPLATES).
+ * @param {number} playerLevel - Level whose points are spent.
+ * @param {Array<string>} skillCodes - Every skill of the allocation (the ones outside the template stay at 0).
+ * @returns {object} Skill levels, points spent and left, and how many priorities were completed.
+ */
+export function applyAllocationTemplate(template, playerLevel, skillCodes) {
+    const skillLevelsAssigned = Object.fromEntries(skillCodes.map(skillCode => [skillCode, MIN_SKILL_LEVEL]));
+    const budget = playerLevel * SKILL_POINTS_PER_LEVEL;
+    let pointsSpent = 0;
+    let completedPriorities = 0;
+
+    for (const { skill, level } of template.priorities) {
+        let outOfPoints = false;
+        while (skillLevelsAssigned[skill] < level) {
+            const nextLevel = getSkillData(skill, skillLevelsAssigned[skill] + 1);
+            if (!nextLevel || playerLevel < nextLevel.unlockAtLevel) break;
+            if (pointsSpent + nextLevel.cost > budget) {
+                outOfPoints = true;
+                break;
+            }
+            skillLevelsAssigned[skill]++;
+            pointsSpent += nextLevel.cost;
+        }
+        if (outOfPoints) break;
+        if (skillLevelsAssigned[skill] >= level) completedPriorities++;
+    }
+
+    return { skillLevelsAssigned, pointsSpent, pointsAvailable: budget - pointsSpent, completedPriorities };
+}
+
+/**
+ * Applies a template at every player level and evaluates the result, for the template's damage-growth curve.
+ * @param {object} build - The build whose equipment and buffs are kept (see createBuild).
+ * @param {object} template - The template (see ALLOCATION_TEMPLATES).
+ * @param {object} foodItem - The food item eaten when health runs low.
+ * @param {object} [options]
+ * @param {object} [options.opponent] - The opponent fought (see OPPONENT_PROFILES).
+ * @param {object} [options.eatingPolicy] - When food is eaten (see EATING_POLICIES).
+ * @returns {Array<object>} One entry per level from MIN_PLAYER_LEVEL to MAX_PLAYER_LEVEL: the template's allocation
+ *   (see applyAllocationTemplate) and its expected numbers.
+ */
+export function calculateTemplateGrowth(build, template, foodItem, {
+    opponent,
+    eatingPolicy = EATING_POLICIES[DEFAULT_EATING_POLICY]
+} = {}) {
+    const options = { opponent, eatingPolicy };
+    const skillCodes = Object.keys(build.skillLevelsAssigned);
+    const metricsByAllocation = new Map();
+    const growth = [];
+    for (let playerLevel = MIN_PLAYER_LEVEL; playerLevel <= MAX_PLAYER_LEVEL; playerLevel++) {
+        const allocation = applyAllocationTemplate(template, playerLevel, skillCodes);
+        const allocationKey = JSON.stringify(allocation.skillLevelsAssigned);
+        if (!metricsByAllocation.has(allocationKey)) {
+            metricsByAllocation.set(allocationKey, evaluateBuild(createCandidateBuild(build, allocation.skillLevelsAssigned), foodItem, options));
+        }
+        growth.push({ playerLevel, ...allocation, metrics: metricsByAllocation.get(allocationKey) });
+    }
+    return growth;
+}
+
+/**
+ * Finds the best equipment loadouts among the items a player owns, for the build's skills and buffs.
+ * Every owned weapon is tried; the other slots try their best items by themselves and the empty slot.
+ * @param {object} build - The build whose skills and buffs are kept (see createBuild).
+ * @param {Array<object>} ownedItems - Owned item instances (code, stats, durability) with the slot they go in.
+ * @param {object} foodItem - The food item eaten when health runs low.
+ * @param {object} [options]
+ * @param {number} [options.topN] - Number of loadouts returned.
+ * @param {object} [options.opponent] - The opponent fought (see OPPONENT_PROFILES).
+ * @param {object} [options.eatingPolicy] - When food is eaten (see EATING_POLICIES).
+ * @returns {object} The current build's numbers (baseline), the loadouts ranked by mean damage per fight
+ *   and, for every owned item, the damage per fight it adds to the best loadout compared with an empty slot.
+ */
+export function optimizeLoadout(build, ownedItems, foodItem, {
+    topN = 5,
+    opponent,
+    eatingPolicy = EATING_POLICIES[DEFAULT_EATING_POLICY]
+} = {}) {
+    const startTime = performance.now();
+    const options = { opponent, eatingPolicy };
+    const healthPerFood = foodItem?.flatStats?.healthRegen || 0;
+    const withItems = (equippedItems) => ({ ...build, equippedItems: { ...build.equippedItems, ...equippedItems } });
+    const estimate = (equippedItems) => estimateFightDamage(withItems(equippedItems), build.skillLevelsAssigned, healthPerFood, options);
+    const evaluations = new Map();
+    const evaluate = (equippedItems) => {
+        const key = JSON.stringify(LOADOUT_SLOTS.map(slot => equippedItems[slot]));
+        if (!evaluations.has(key)) {
+            evaluations.set(key, evaluateBuild(createCandidateBuild(withItems(equippedItems), build.skillLevelsAssigned), foodItem, options));
+        }
+        return evaluations.get(key);
+    };
+
+    const slotOptions = LOADOUT_SLOTS.map(slot => {
+        const choices = [null, ...ownedItems.filter(item => item.slot === slot)];
+        if (slot === 'weapon') return choices;
+        return choices
+            .map(item => ({ item, damage: estimate({ [slot]: item }) }))
+            .sort((a, b) => b.damage - a.damage)
+            .slice(0, LOADOUT_OPTIONS_PER_SLOT)
+            .map(({ item }) => item);
+    });
+
+    // Rank every combination with the estimate, then re-score the shortlist exactly
+    const estimated = [];
+    const visit = (index, equippedItems) => {
+        if (index === LOADOUT_SLOTS.length) {
+            estimated.push({ equippedItems: { ...equippedItems }, damage: estimate(equippedItems) });
+            return;
+        }
+        slotOptions[index].forEach(item => {
+            equippedItems[LOADOUT_SLOTS[index]] = item;
+            visit(index + 1, equippedItems);
+        });
+    };
+    visit(0, {});
+    estimated.sort((a, b) => b.damage - a.damage);
+    const results = estimated.slice(0, Math.max(topN * EXACT_CANDIDATES_PER_RESULT, MIN_EXACT_CANDIDATES))
+        .map(({ equippedItems }) => ({ equippedItems, metrics: evaluate(equippedItems) }))
+        .sort((a, b) => b.metrics.damage - a.metrics.damage)
+        .slice(0, topN);
+
+    // Each item's worth: the best loadout with the item in its slot, against the same loadout with the slot empty
+    const bestLoadout = results[0]?.equippedItems || {};
+    const itemValues = ownedItems.map((item, index) => {
+        const damage = evaluate({ ...bestLoadout, [item.slot]: item }).damage;
+        const emptySlotDamage = evaluate({ ...bestLoadout, [item.slot]: null }).damage;
+        return { item, index, damage, emptySlotDamage, worth: damage - emptySlotDamage };
+    }).sort((a, b) => b.worth - a.worth);
+
+    return {
+        baseline: evaluateBuild(createCandidateBuild(build, build.skillLevelsAssigned), foodItem, options),
+        results,
+        itemValues,
+        evaluated: estimated.length,
+        computeTimeMs: performance.now() - startTime
+    };
+}
+
+/**
+ * Percentile of a stat roll within its range: 0 for the lowest possible roll, 100 for the highest.
+ * @param {number} value - The rolled value.
+ * @param {Array<number>} range - The stat's [min, max] from dynamicStats.
+ * @returns {number} The roll's percentile.
+ */
+export function getRollPercentile(value, [min, max]) {
+    if (max <= min) return 100;
+    return Math.min(100, Math.max(0, (value - min) / (max - min) * 100));
+}
+
+/**
+ * Roll quality of an item: the percentile of each rolled stat within its dynamicStats range and their mean.
+ * @param {object} item - The item instance (code and rolled stats).
+ * @returns {object|null} { stats: [{ stat, value, range, percentile }], quality }, or null if the item has no ranges.
+ */
+export function calculateRollQuality(item) {
+    const ranges = Object.entries(skillsData?.skills[item.code]?.dynamicStats || {});
+    if (ranges.length === 0) return null;
+    const stats = ranges.map(([stat, range]) => {
+        const value = item.stats?.[stat] ?? range[0];
+        return { stat, value, range, percentile: getRollPercentile(value, range) };
+    });
+    return { stats, quality: stats.reduce((acc, { percentile }) => acc + percentile, 0) / stats.length };
+}
+
+/**
+ * Values a stat can roll: every whole number of its range, all equally likely (like the item config sliders).
+ */
+function getRollValues([min, max]) {
+    const values = [];
+    for (let value = min; value <= max; value++) values.push(value);
+    return values;
+}
+
+/**
+ * Evaluates the build, at full health and hunger, with different items in one slot (see evaluateBuild).
+ * Fight length only depends on the defensive side of the profile, which most items of a slot leave alone,
+ * so it is solved once per distinct defense.
+ * @returns {function(object): object} Evaluator of a slot item, returning its build and expected numbers.
+ */
+function createSlotEvaluator(build, slot, foodItem, { opponent, eatingPolicy }) {
+    const freshBuild = createCandidateBuild(build, build.skillLevelsAssigned);
+    const fightLengths = new Map();
+    return (slotItem) => {
+        const candidate = { ...freshBuild, equippedItems: { ...freshBuild.equippedItems, [slot]: slotItem } };
+        const profile = compileCombatProfile(candidate, OPTIMIZER_RANDOM_FACTOR, { opponent });
+        const key = JSON.stringify([profile.healthLostPerHit, profile.incoming.criticalHealthLost, profile.dodge, profile.startDurability]);
+        if (!fightLengths.has(key)) {
+            fightLengths.set(key, calculateFightLength(candidate, foodItem, { opponent, eatingPolicy }));
+        }
+        const { damagePerHit, hits, damage, exact } = getFightMetrics(candidate, fightLengths.get(key), { opponent });
+        return { build: candidate, damagePerHit, hits, damage, exact };
+    };
+}
+
+/**
+ * Rates an item's rolls against the other rolls its item type can get.
+ * Damage is the mean damage per fight of the build with the item in its slot, like the other optimizers.
+ * A fresh item is brand new (full durability) with every stat rolled evenly within its range.
+ * @param {object} build - The build the item is used in (see createBuild).
+ * @param {object} item - The item instance (code, rolled stats and durability).
+ * @param {string} slot - The equipment slot the item goes in.
+ * @param {object} foodItem - The food item eaten when health runs low.
+ * @param {object} [options]
+ * @param {object} [options.opponent] - The opponent fought (see OPPONENT_PROFILES).
+ * @param {object} [options.eatingPolicy] - When food is eaten (see EATING_POLICIES).
+ * @returns {object|null} The roll quality (see calculateRollQuality), the item's damage, the average roll's stats
+ *   and damage, the chance a fresh item deals more and the number of possible rolls; null if the item has no ranges.
+ */
+export function analyzeItemRoll(build, item, slot, foodItem, {
+    opponent,
+    eatingPolicy = EATING_POLICIES[DEFAULT_EATING_POLICY]
+} = {}) {
+    const rollQuality = calculateRollQuality(item);
+    if (!rollQuality) return null;
+    const options = { opponent, eatingPolicy };
+    const evaluate = createSlotEvaluator(build, slot, foodItem, options);
+    const freshItem = (stats) => ({ ...item, stats: { ...item.stats, ...stats }, durability: getItemMaxDurability(item.code) });
+
+    const { damage } = evaluate(item);
+    const averageStats = Object.fromEntries(rollQuality.stats.map(({ stat, range }) => [stat, (range[0] + range[1]) / 2]));
+
+    let rollCount = 0;
+    let betterRolls = 0;
+    const visit = (index, stats) => {
+        if (index === rollQuality.stats.length) {
+            rollCount++;
+            if (evaluate(freshItem(stats)).damage > damage + SCORE_TOLERANCE) betterRolls++;
+            return;
+        }
+        const { stat, range } = rollQuality.stats[index];
+        getRollValues(range).forEach(value => visit(index + 1, { ...stats, [stat]: value }));
+    };
+    visit(0, {});
+
+    return {
+        ...rollQuality,
+        item,
+        slot,
+        damage,
+        averageRoll: { stats: averageStats, damage: evaluate(freshItem(averageStats)).damage },
+        beatProbability: betterRolls / rollCount,
+        rollCount
+    };
+}
+
+/**
+ * Lowest value of each of a candidate item's stats (and of a weapon's durability) at which it still deals more
+ * damage per fight than the current item, the rest of the candidate unchanged. Damage never drops as one of these
+ * grows, so a binary search finds it. Break-evens are null when the candidate isn't better even as it is.
+ */
+function findBreakEvens(candidate, slot, evaluate, currentDamage) {
+    const beatsCurrent = (item) => evaluate(item).damage > currentDamage + SCORE_TOLERANCE;
+    const isBetter = beatsCurrent(candidate);
+    // Smallest whole value from low up to high (which beats the current item) that still beats it
+    const search = (low, high, itemAt) => {
+        while (low < high) {
+            const middle = Math.floor((low + high) / 2);
+            if (beatsCurrent(itemAt(middle))) high = middle;
+            else low = middle + 1;
+        }
+        return low;
+    };
+    const breakEvens = Object.entries(candidate.stats || {}).map(([stat, value]) => ({
+        stat,
+        value,
+        breakEven: isBetter ? search(0, Math.ceil(value), v => ({ ...candidate, stats: { ...candidate.stats, [stat]: v } })) : null
+    }));
+    // Only the weapon's durability limits the fight
+    if (slot === 'weapon') {
+        const durability = getItemDurability(candidate);
+        breakEvens.push({
+            stat: 'durability',
+            value: durability,
+            breakEven: isBetter ? search(1, durability, v => ({ ...candidate, durability: v })) : null
+        });
+    }
+    return breakEvens;
+}
+
+/**
+ * Compares hypothetical items with the item equipped in their slot, without equipping them.
+ * @param {object} build - The current build (see createBuild).
+ * @param {Array<object>} candidates - Item instances (code, stats and durability), each with the slot it goes in.
+ * @param {object} foodItem - The food item eaten when health runs low.
+ * @param {object} [options]
+ * @param {object} [options.opponent] - The opponent fought (see OPPONENT_PROFILES).
+ * @param {object} [options.eatingPolicy] - When food is eaten (see EATING_POLICIES).
+ * @returns {Array<object>} For each candidate: the item, the equipped item it would replace, every stat before and
+ *   after with its change, the expected numbers with each item, the changes in damage per hit and per fight,
+ *   and the break-even of each of its stats (see findBreakEvens).
+ */
+export function evaluateItemUpgrades(build, candidates, foodItem, {
+    opponent,
+    eatingPolicy = EATING_POLICIES[DEFAULT_EATING_POLICY]
+} = {}) {
+    const statCodes = Object.keys(build.skillLevelsAssigned);
+    const evaluators = {};
+    return candidates.map(candidate => {
+        const { slot } = candidate;
+        evaluators[slot] ??= createSlotEvaluator(build, slot, foodItem, { opponent, eatingPolicy });
+        const evaluate = evaluators[slot];
+        const currentItem = build.equippedItems[slot] || null;
+        const { build: currentBuild, ...current } = evaluate(currentItem);
+        const { build: candidateBuild, ...upgraded } = evaluate(candidate);
+        const stats = statCodes.map(stat => {
+            const before = calculateStatDetails(stat, currentBuild, OPTIMIZER_RANDOM_FACTOR).total;
+            const after = calculateStatDetails(stat, candidateBuild, OPTIMIZER_RANDOM_FACTOR).total;
+            return { stat, before, after, delta: parseFloat((after - before).toFixed(1)) };
+        });
+        return {
+            item: candidate,
+            currentItem,
+            slot,
+            stats,
+            current,
+            candidate: upgraded,
+            damagePerHitDelta: upgraded.damagePerHit - current.damagePerHit,
+            damageDelta: upgraded.damage - current.damage,
+            breakEvens: findBreakEvens(candidate, slot, evaluate, current.damage)
+        };
+    });
+}
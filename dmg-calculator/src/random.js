@@ -0,0 +1,57 @@
+// Random: Seedable pseudo-random number generators used to make combat simulations reproducible.
+
+/**
+ * Generates a fresh 32-bit seed from Math.random.
+ * @returns {number} Unsigned 32-bit integer seed.
+ */
+export function createRandomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Parses a seed typed by the user. Numbers are used as-is, any other text is hashed.
+ * @param {string|number} input - The raw seed value.
+ * @returns {number|null} Unsigned 32-bit seed, or null when the input is empty.
+ */
+export function parseSeed(input) {
+    if (input === null || input === undefined) return null;
+    const text = String(input).trim();
+    if (!text) return null;
+    if (/^\d+$/.test(text)) return Number(text) >>> 0;
+    // FNV-1a hash so words like "guild-test" are valid seeds too
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Derives an independent seed for a sub-stream (e.g. a single simulation run).
+ * @param {number} seed - The master seed.
+ * @param {number} index - The sub-stream index.
+ * @returns {number} Unsigned 32-bit seed.
+ */
+export function deriveSeed(seed, index) {
+    let hash = (seed ^ Math.imul(index + 1, 0x9e3779b1)) >>> 0;
+    hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+    hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+    return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+/**
+ * Creates a seeded generator (mulberry32) with the same contract as Math.random.
+ * @param {number} seed - Unsigned 32-bit seed.
+ * @returns {function(): number} Function returning floats in [0, 1).
+ */
+export function createRng(seed) {
+    let a = seed >>> 0;
+    return function rng() {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -0,0 +1,232 @@
+// Simulation pool: Runs Monte Carlo simulations in a pool of Web Workers, with live progress and cancellation.
+
+import { skillsData } from './state.js';
+import {
+    runSimulationBatch,
+    summarizeSimulationBatches,
+    getSimulationRandomFactor,
+    createAutoRunTracker,
+    calculateRelativeMargin,
+    MONTE_CARLO_BATCH_SIZE
+} from './calculator.js';
+import { createRandomSeed } from './random.js';
+
+const BATCH_SIZE = MONTE_CARLO_BATCH_SIZE; // Runs per message; small enough for smooth progress updates
+const MAX_WORKERS = 8;
+
+let workers = null; // Created lazily; an empty array means workers are unavailable
+let workersUnavailable = false;
+let jobQueue = Promise.resolve(); // Jobs share the workers, so they run one after another
+
+function createAbortError() {
+    return new DOMException('Simulation cancelled', 'AbortError');
+}
+
+function getWorkers() {
+    if (workers) return workers;
+    workers = [];
+    if (workersUnavailable || typeof Worker === 'undefined') return workers;
+
+    const workerCount = Math.max(1, Math.min((navigator.hardwareConcurrency || 2) - 1, MAX_WORKERS));
+    try {
+        for (let i = 0; i < workerCount; i++) {
+            const worker = new Worker(new URL('./simulation-worker.js', import.meta.url), { type: 'module' });
+            worker.postMessage({ type: 'init', skillsData });
+            workers.push(worker);
+        }
+    } catch (error) {
+        console.warn('Web Workers are unavailable, simulations will run on the main thread:', error);
+        terminateWorkers();
+        workersUnavailable = true;
+        workers = [];
+    }
+    return workers;
+}
+
+function terminateWorkers() {
+    if (workers) workers.forEach(worker => worker.terminate());
+    workers = null;
+}
+
+/**
+ * Dispatches batches to the workers, one batch per idle worker, until all are done
+ * or isDone() says to stop. Resolves with the results of every batch dispatched, in order.
+ */
+function runBatchesInWorkers(pool, batches, params, signal, onBatchDone, isDone) {
+    return new Promise((resolve, reject) => {
+        const results = [];
+        let nextBatch = 0;
+        let completedBatches = 0;
+        let settled = false;
+
+        const finish = (callback) => {
+            if (settled) return;
+            settled = true;
+            pool.forEach(worker => { worker.onmessage = null; worker.onerror = null; });
+            signal?.removeEventListener('abort', handleAbort);
+            callback();
+        };
+
+        const hasMoreBatches = () => nextBatch < batches.length && !isDone();
+        const dispatch = (worker) => {
+            if (!hasMoreBatches()) return;
+            const batchIndex = nextBatch++;
+            worker.postMessage({ type: 'batch', batchIndex, ...params, ...batches[batchIndex] });
+        };
+
+        const handleAbort = () => {
+            // Terminating is the only way to stop a batch that is already running
+            terminateWorkers();
+            finish(() => reject(createAbortError()));
+        };
+
+        pool.forEach(worker => {
+            worker.onmessage = (event) => {
+                const { type, batchIndex, ...result } = event.data;
+                results[batchIndex] = result;
+                completedBatches++;
+                onBatchDone(result, batchIndex);
+                if (hasMoreBatches()) {
+                    dispatch(worker);
+                } else if (completedBatches === nextBatch) {
+                    finish(() => resolve(results));
+                }
+            };
+            worker.onerror = (event) => {
+                terminateWorkers();
+                finish(() => reject(new Error(`Simulation worker failed: ${event.message || 'unknown error'}`)));
+            };
+        });
+
+        signal?.addEventListener('abort', handleAbort);
+        pool.forEach(dispatch);
+        if (nextBatch === 0) finish(() => resolve(results));
+    });
+}
+
+/**
+ * Fallback used when workers can't be created (e.g. the page is opened from file://).
+ * Yields to the event loop between batches so progress still renders and cancel still works.
+ */
+async function runBatchesOnMainThread(batches, params, signal, onBatchDone, isDone) {
+    const { build, foodItem, seed, randomFactor, opponent, lootTable, eatingPolicy, stock, foodInventory } = params;
+    const results = [];
+    for (const batch of batches) {
+        if (isDone()) break;
+        await new Promise(resolve => setTimeout(resolve, 0));
+        if (signal?.aborted) throw createAbortError();
+        const result = runSimulationBatch(build, foodItem, { seed, randomFactor, opponent, lootTable, eatingPolicy, stock, foodInventory, ...batch });
+        results.push(result);
+        onBatchDone(result, results.length - 1);
+    }
+    return results;
+}
+
+async function runMonteCarloJob(iterations, build, foodItem, { seed, opponent, lootTable, eatingPolicy, stock, foodInventory, autoRuns, signal, onProgress }) {
+    if (signal?.aborted) throw createAbortError();
+
+    const startedAt = performance.now();
+    const randomFactor = getSimulationRandomFactor(seed);
+    const params = { build, foodItem, seed, randomFactor, opponent, lootTable, eatingPolicy, stock, foodInventory };
+    const batches = [];
+    for (let startIndex = 0; startIndex < iterations; startIndex += BATCH_SIZE) {
+        batches.push({ startIndex, count: Math.min(BATCH_SIZE, iterations - startIndex) });
+    }
+
+    let tracker;
+    let trackedBatches;
+    let completedResults;
+    let completed;
+    let damage;
+    let ticks;
+    const reset = () => {
+        tracker = autoRuns ? createAutoRunTracker(autoRuns, iterations, startedAt) : null;
+        trackedBatches = 0;
+        completedResults = [];
+        completed = 0;
+        damage = { count: 0, sum: 0, sumOfSquares: 0 };
+        ticks = { count: 0, sum: 0, sumOfSquares: 0 };
+    };
+    const addToMoments = (moments, values) => values.forEach(value => {
+        moments.count++;
+        moments.sum += value;
+        moments.sumOfSquares += value * value;
+    });
+    const onBatchDone = (result, batchIndex) => {
+        completed += result.damageResults.length;
+        addToMoments(damage, result.damageResults);
+        addToMoments(ticks, result.ticksResults);
+        // Workers finish out of order; the tracker only sees batches in run order
+        completedResults[batchIndex] = result;
+        while (tracker && completedResults[trackedBatches] && !tracker.isDone()) {
+            tracker.add(completedResults[trackedBatches++]);
+        }
+        onProgress?.({
+            completed,
+            total: iterations,
+            runningMeanDamage: damage.sum / completed,
+            runningMeanHits: ticks.sum / completed,
+            autoRuns: autoRuns && {
+                ...autoRuns,
+                elapsedMs: performance.now() - startedAt,
+                margin: Math.max(calculateRelativeMargin(damage), calculateRelativeMargin(ticks))
+            }
+        });
+    };
+    const isDone = () => tracker?.isDone() ?? false;
+
+    reset();
+    const pool = getWorkers();
+    let results;
+    if (pool.length > 0) {
+        try {
+            results = await runBatchesInWorkers(pool, batches, params, signal, onBatchDone, isDone);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.warn('Falling back to main thread simulation:', error);
+            workersUnavailable = true;
+            reset();
+            results = await runBatchesOnMainThread(batches, params, signal, onBatchDone, isDone);
+        }
+    } else {
+        results = await runBatchesOnMainThread(batches, params, signal, onBatchDone, isDone);
+    }
+
+    if (!tracker) {
+        return { ...summarizeSimulationBatches(results, { seed, randomFactor }), elapsedMs: performance.now() - startedAt };
+    }
+    // Batches that finished after the tracker stopped are left out, like in runMonteCarloSimulation
+    const autoRunsSummary = tracker.getSummary();
+    return {
+        ...summarizeSimulationBatches(results.slice(0, autoRunsSummary.batchCount), { seed, randomFactor }),
+        autoRuns: autoRunsSummary,
+        elapsedMs: performance.now() - startedAt
+    };
+}
+
+/**
+ * Runs runMonteCarloSimulation across the worker pool. Results are identical to the
+ * synchronous version for the same seed, whatever the number of workers.
+ * @param {number} iterations - The number of simulations to run.
+ * @param {object} build - The build to simulate (see createBuild).
+ * @param {object} foodItem - The food item to use.
+ * @param {object} [options]
+ * @param {number} [options.seed] - Seed to replay a previous analysis; a random one is used if omitted.
+ * @param {object} [options.opponent] - The opponent fought (see OPPONENT_PROFILES).
+ * @param {object} [options.lootTable] - Loot rolled on each hit (see LOOT_TABLES).
+ * @param {object} [options.eatingPolicy] - When food is eaten (see EATING_POLICIES).
+ * @param {object} [options.stock] - Ammo and pill units brought to each fight (see compileSupplies); unlimited if omitted.
+ * @param {object} [options.foodInventory] - Foods brought to each fight and their order (see compileFoodInventory);
+ *   foodItem, limited only by hunger, if omitted.
+ * @param {object} [options.autoRuns] - { precision, timeBudgetMs }: samples until the means are known within
+ *   ±precision % or time runs out; iterations is then the most runs it may take.
+ * @param {AbortSignal} [options.signal] - Aborts the simulation; the promise then rejects with an AbortError.
+ * @param {function(object): void} [options.onProgress] - Receives { completed, total, runningMeanDamage, runningMeanHits },
+ *   plus autoRuns { precision, timeBudgetMs, elapsedMs, margin } in auto mode.
+ * @returns {Promise<object>} The Monte Carlo analysis.
+ */
+export function runMonteCarloInWorkers(iterations, build, foodItem, { seed = createRandomSeed(), opponent, lootTable, eatingPolicy, stock, foodInventory, autoRuns, signal, onProgress } = {}) {
+    const job = jobQueue.then(() => runMonteCarloJob(iterations, build, foodItem, { seed, opponent, lootTable, eatingPolicy, stock, foodInventory, autoRuns, signal, onProgress }));
+    jobQueue = job.catch(() => {});
+    return job;
+}
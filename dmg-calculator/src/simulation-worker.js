@@ -0,0 +1,20 @@
+// Simulation worker: Runs batches of Monte Carlo combat simulations off the main thread.
+
+import { setSkillsData } from './state.js';
+import { runSimulationBatch } from './calculator.js';
+
+self.addEventListener('message', (event) => {
+    const { type } = event.data;
+
+    if (type === 'init') {
+        // The worker has its own module instances, so it needs its own copy of the game data
+        setSkillsData(event.data.skillsData);
+        return;
+    }
+
+    if (type === 'batch') {
+        const { batchIndex, build, foodItem, seed, randomFactor, startIndex, count, opponent, lootTable, eatingPolicy, stock, foodInventory } = event.data;
+        const result = runSimulationBatch(build, foodItem, { seed, randomFactor, startIndex, count, opponent, lootTable, eatingPolicy, stock, foodInventory });
+        self.postMessage({ type: 'batch', batchIndex, ...result });
+    }
+});
@@ -8,6 +8,87 @@ export const MIN_PLAYER_LEVEL = 1;
 export const MAX_SKILL_LEVEL = 10;
 export const MIN_SKILL_LEVEL = 0;
 
+// Opponents the simulations can fight. Damage is per hit, before our armor and dodge.
+// damageSpread: ± % random variation of each hit; criticalDamages: % extra damage on a critical hit;
+// armorPiercing: % of our armor the opponent ignores.
+export const OPPONENT_PROFILES = {
+  standard: { name: 'Standard', damagePerHit: 10, damageSpread: 0, criticalChance: 0, criticalDamages: 0, armorPiercing: 0 },
+  brawler: { name: 'Brawler', damagePerHit: 12, damageSpread: 0, criticalChance: 15, criticalDamages: 50, armorPiercing: 0 },
+  veteran: { name: 'Veteran', damagePerHit: 12, damageSpread: 20, criticalChance: 10, criticalDamages: 50, armorPiercing: 10 },
+  armorBreaker: { name: 'Armor Breaker', damagePerHit: 10, damageSpread: 0, criticalChance: 0, criticalDamages: 0, armorPiercing: 50 },
+  elite: { name: 'Elite', damagePerHit: 15, damageSpread: 10, criticalChance: 20, criticalDamages: 100, armorPiercing: 25 },
+};
+export const DEFAULT_OPPONENT_PROFILE = 'standard';
+
+// Loot tables: every hit rolls the lootChance stat and a successful roll drops one item, picked by weight.
+// dropsOn: which hits can drop loot ('any', 'hit' for hits that land, 'critical' for critical hits).
+// value: worth of each item, used to compare loot against damage.
+const CASE_DROPS = [
+  { code: 'commonCase', name: 'Common Case', weight: 80, value: 1 },
+  { code: 'uncommonCase', name: 'Uncommon Case', weight: 15, value: 5 },
+  { code: 'rareCase', name: 'Rare Case', weight: 5, value: 25 },
+];
+export const LOOT_TABLES = {
+  cases: { name: 'Cases (every hit)', dropsOn: 'any', items: CASE_DROPS },
+  casesOnHit: { name: 'Cases (landed hits only)', dropsOn: 'hit', items: CASE_DROPS },
+  casesOnCritical: { name: 'Cases (critical hits only)', dropsOn: 'critical', items: CASE_DROPS },
+};
+export const DEFAULT_LOOT_TABLE = 'cases';
+
+// Eating policies: when food is eaten during a fight (each item uses one hunger point).
+// eatAtHealth / eatAtPercent: eat when health drops to this value (or % of max health) or below;
+// eatToFull: once eating, keep eating up to max health; keepHunger: hunger points never used;
+// topOffBeforeFight: eat up to max health before the first hit; never: don't eat at all.
+export const EATING_POLICIES = {
+  whenLow: { name: 'Eat when low (10 HP)', eatAtHealth: 10 },
+  halfHealth: { name: 'Eat below 50% health', eatAtPercent: 50 },
+  topOff: { name: 'Top off to max when low', eatAtHealth: 10, eatToFull: true },
+  fullBeforeFight: { name: 'Eat to full before the fight', eatAtHealth: 10, topOffBeforeFight: true },
+  keepReserve: { name: 'Eat when low, keep 2 hunger', eatAtHealth: 10, keepHunger: 2 },
+  never: { name: 'Never eat', never: true },
+};
+export const DEFAULT_EATING_POLICY = 'whenLow';
+
+// Orders a mixed food inventory is eaten in. Cheapest uses the prices entered in Fight Economics
+// (the smallest heal first between equal prices); best fit takes the biggest heal that fits the health gap.
+// Until every food has a price, and not all the same one, cheapest can't order them and uses its fallback order.
+export const FOOD_ORDERS = {
+  cheapest: { name: 'Cheapest first', by: 'cost', fallback: 'bestFit' },
+  biggestHeal: { name: 'Biggest heal first', by: 'heal' },
+  bestFit: { name: 'Best fit for the health gap', by: 'fit' },
+};
+export const DEFAULT_FOOD_ORDER = 'cheapest';
+
+// Allocation templates (build archetypes): an ordered priority list of skill targets.
+// Applying one raises each skill to its target in order, as far as the points and unlock levels allow.
+export const ALLOCATION_TEMPLATES = {
+  glassCannon: {
+    name: 'Glass Cannon',
+    priorities: [
+      { skill: 'attack', level: 5 }, { skill: 'precision', level: 5 }, { skill: 'criticalChance', level: 5 },
+      { skill: 'criticalDamages', level: 5 }, { skill: 'attack', level: 10 }, { skill: 'criticalChance', level: 10 },
+      { skill: 'criticalDamages', level: 10 }, { skill: 'precision', level: 10 }
+    ]
+  },
+  critFisher: {
+    name: 'Crit Fisher',
+    priorities: [
+      { skill: 'attack', level: 3 }, { skill: 'criticalChance', level: 10 }, { skill: 'criticalDamages', level: 10 },
+      { skill: 'precision', level: 6 }, { skill: 'attack', level: 10 }
+    ]
+  },
+  tank: {
+    name: 'Tank',
+    priorities: [
+      { skill: 'attack', level: 3 }, { skill: 'health', level: 5 }, { skill: 'armor', level: 5 },
+      { skill: 'hunger', level: 5 }, { skill: 'dodge', level: 5 }, { skill: 'armor', level: 10 },
+      { skill: 'health', level: 10 }, { skill: 'dodge', level: 10 }, { skill: 'hunger', level: 10 },
+      { skill: 'attack', level: 10 }
+    ]
+  },
+};
+export const DEFAULT_ALLOCATION_TEMPLATE = 'glassCannon';
+
 const INITIAL_PLAYER_STATE = {
   playerLevel: 1,
   skillPointsAvailable: 0,
@@ -3,7 +3,9 @@
 // UI: Renders and manages the user interface, updates visual elements, and controls the visual interaction of the simulator.
 
 import { playerState, skillsData, MIN_SKILL_LEVEL, MIN_PLAYER_LEVEL, MAX_PLAYER_LEVEL, SKILL_POINTS_PER_LEVEL } from './state.js';
-import { getSkillData, calculateStatDetails, calculateCumulativeSkillCost } from './calculator.js';
+import { getSkillData, calculateStatDetails, calculateCumulativeSkillCost, getItemDurability, getItemMaxDurability } from './calculator.js';
+import { calculateHitsUntilBreak } from './analytic.js';
+import { getRollPercentile } from './optimizer.js';
 
 export const ui = {};
 
@@ -52,7 +54,7 @@ function renderSkill(skillCode) {
   const canUpgrade = nextSkillInfo && playerState.skillPointsAvailable >= nextSkillInfo.cost && playerState.playerLevel >= nextSkillInfo.unlockAtLevel;
   setButtonEnabled(skillElements.plusBtn, canUpgrade);
   if (ui.characterStats[skillCode] && skillCode !== 'health' && skillCode !== 'hunger') {
-      const { total } = calculateStatDetails(skillCode);
+      const { total } = calculateStatDetails(skillCode, playerState);
       ui.characterStats[skillCode].textContent = formatSkillValue(skillCode, total);
   }
 }
@@ -90,6 +92,7 @@ function renderResourceBars() {
 
 function renderEquippedItems() {
     if (!ui.equipmentSlots) return;
+    const hitsUntilBreak = calculateHitsUntilBreak(playerState);
 
     for (const slot in ui.equipmentSlots) {
         const slotElement = ui.equipmentSlots[slot];
@@ -98,6 +101,7 @@ function renderEquippedItems() {
         // 1. Limpiar siempre el contenido y las clases de tier primero.
         slotElement.innerHTML = ''; 
         slotElement.classList.remove(...TIER_CLASSES);
+        slotElement.removeAttribute('title');
 
         if (equippedItem) {
             // 2. Aplicar la clase de tier al slot ANTES de añadir contenido.
@@ -117,6 +121,20 @@ function renderEquippedItems() {
             img.src = `public/images/items/${imgCode}.png`;
             img.alt = equippedItem.name;
             slotElement.appendChild(img);
+
+            // Durability badge, with the expected hits until the item breaks in the tooltip
+            if (slot in hitsUntilBreak) {
+                const durability = getItemDurability(equippedItem);
+                const maxDurability = getItemMaxDurability(equippedItem.code);
+                const hits = hitsUntilBreak[slot];
+                const durabilityBadge = document.createElement('span');
+                durabilityBadge.className = 'slot-durability';
+                durabilityBadge.classList.toggle('worn', durability < maxDurability);
+                durabilityBadge.textContent = `${durability}/${maxDurability}`;
+                slotElement.appendChild(durabilityBadge);
+                slotElement.title = `${equippedItem.name} - Durability ${durability}/${maxDurability}, `
+                    + (Number.isFinite(hits) ? `breaks after ~${Math.round(hits)} hits` : 'never wears out');
+            }
             
         } else {
             // 4. Si no hay item, simplemente establece el texto.
@@ -143,6 +161,142 @@ function renderActiveBuffs() {
     });
 }
 
+/**
+ * Formats how long a Monte Carlo analysis took, e.g. "85 ms (11,765 runs/s)"
+ */
+function formatSimulationTiming({ elapsedMs, iterations }) {
+    if (elapsedMs === undefined) return '-';
+    const runsPerSecond = elapsedMs > 0 ? Math.round(iterations / (elapsedMs / 1000)) : iterations;
+    return `${Math.round(elapsedMs)} ms (${runsPerSecond.toLocaleString()} runs/s)`;
+}
+
+/**
+ * Formats the confidence interval of a mean, e.g. "8387.2 ±46.1 (±0.55%)"
+ */
+function formatConfidenceInterval({ mean, confidenceInterval }) {
+    if (!confidenceInterval) return '-';
+    const relative = mean !== 0 ? ` (±${(confidenceInterval.margin / Math.abs(mean) * 100).toFixed(2)}%)` : '';
+    return `${mean.toFixed(1)} ±${confidenceInterval.margin.toFixed(1)}${relative}`;
+}
+
+/**
+ * Formats the runs an analysis took and, in auto mode, why it stopped, e.g. "2500 (±0.5% reached)"
+ */
+function formatRunsUsed({ iterations, autoRuns }) {
+    if (!autoRuns) return `${iterations}`;
+    const reasons = {
+        precision: `±${autoRuns.precision}% reached`,
+        time_budget: `time budget, ±${Math.max(autoRuns.damageMargin, autoRuns.hitsMargin).toFixed(2)}%`,
+        max_runs: `run limit, ±${Math.max(autoRuns.damageMargin, autoRuns.hitsMargin).toFixed(2)}%`
+    };
+    return `${iterations} (${reasons[autoRuns.stoppedBy] || 'auto'})`;
+}
+
+/**
+ * Formats exact per-hit damage as "mean ±std. dev."
+ */
+function formatExactDamagePerHit({ expectedDamage, damageVariance }) {
+    return `${expectedDamage.toFixed(1)} ±${Math.sqrt(damageVariance).toFixed(1)}`;
+}
+
+/**
+ * Formats the median and the middle 80% of a distribution, e.g. "8316.3 (7093.3-9748.3)"
+ */
+function formatPercentileRange({ percentiles }) {
+    if (!percentiles) return '-';
+    return `${percentiles.p50} (${percentiles.p10}-${percentiles.p90})`;
+}
+
+/**
+ * Formats the average loot of a fight, e.g. "7.3 drops · 15.2 value"
+ */
+function formatLootPerFight(lootStats) {
+    if (!lootStats) return '-';
+    return `${lootStats.drops.mean.toFixed(1)} drops · ${lootStats.value.mean.toFixed(1)} value`;
+}
+
+/**
+ * Formats the food eaten in a fight next to the damage each item bought, e.g. "7.0 · 1198.2 dmg/food"
+ */
+function formatFoodEaten(foodStats, damageStats) {
+    if (!foodStats) return '-';
+    const damagePerFood = foodStats.mean > 0 ? `${(damageStats.mean / foodStats.mean).toFixed(1)} dmg/food` : 'no food';
+    return `${foodStats.mean.toFixed(1)} · ${damagePerFood}`;
+}
+
+/**
+ * Compares the sampled damage per hit with the exact value for the same random factor,
+ * e.g. "+0.4% (0.6 SE)". Deviations within ~2 standard errors are just sampling noise.
+ */
+function formatSamplingNoise({ damageStats, ticksStats, iterations, analytic, supplyStats }) {
+    const exact = analytic?.atFactor;
+    // The exact values assume the buffs last the whole fight
+    if (supplyStats) return '-';
+    const totalHits = iterations * ticksStats.mean;
+    if (!exact || totalHits <= 0 || exact.expectedDamage <= 0) return '-';
+    const deviation = damageStats.mean / ticksStats.mean - exact.expectedDamage;
+    const standardError = Math.sqrt(exact.damageVariance / totalHits);
+    const sign = deviation >= 0 ? '+' : '';
+    const errors = standardError > 0 ? Math.abs(deviation) / standardError : 0;
+    return `${sign}${(deviation / exact.expectedDamage * 100).toFixed(2)}% (${errors.toFixed(1)} SE)`;
+}
+
+/**
+ * Formats food items per fight by type, e.g. "Bread 4.2 · Steak 3.0"
+ */
+function formatFoodCounts(counts) {
+    if (!counts) return '-';
+    const entries = Object.entries(counts);
+    return entries.length ? entries.map(([code, units]) => `${formatCodeToName(code)} ${units.toFixed(1)}`).join(' · ') : 'None';
+}
+
+/**
+ * Formats the order a food inventory was eaten in, with the order it replaced when that one couldn't be used,
+ * e.g. "Best fit for the health gap (Cheapest first needs a different price for each food)"
+ */
+function formatFoodOrder(order) {
+    if (!order) return '-';
+    return order.fallbackFrom ? `${order.name} (${order.fallbackFrom} needs a different price for each food)` : order.name;
+}
+
+/**
+ * Formats the damage per fight dealt with each ammo, e.g. "Heavy Ammo 812.4 · No Ammo 95.1 (out in 35.0%)"
+ */
+function formatAmmoPhases(supplyStats) {
+    if (!supplyStats) return '-';
+    const phases = Object.entries(supplyStats.damageByAmmo)
+        .map(([code, damage]) => `${code === 'none' ? 'No Ammo' : formatCodeToName(code)} ${damage.toFixed(1)}`)
+        .join(' · ');
+    return `${phases || '-'} (out in ${supplyStats.ranOutOfAmmo.toFixed(1)}%)`;
+}
+
+/**
+ * Formats the damage per fight dealt with and without the pill, e.g. "650.2 / 257.3"
+ */
+function formatPillPhases(supplyStats) {
+    if (!supplyStats) return '-';
+    return `${supplyStats.damageWithPill.toFixed(1)} / ${supplyStats.damageWithoutPill.toFixed(1)}`;
+}
+
+/**
+ * Formats the extra damage per fight the pill produced on the hits dealt, e.g. "+312.5 (aftereffect -40.1, 2.0 pills)"
+ */
+function formatPillExtraDamage(supplyStats) {
+    if (!supplyStats?.pillsPerFight) return '-';
+    const { pillExtraDamage, aftereffectLoss, pillsPerFight } = supplyStats;
+    const aftereffect = aftereffectLoss > 0 ? `aftereffect -${aftereffectLoss.toFixed(1)}, ` : '';
+    return `${pillExtraDamage >= 0 ? '+' : ''}${pillExtraDamage.toFixed(1)} (${aftereffect}${pillsPerFight.toFixed(1)} pills)`;
+}
+
+/**
+ * Formats the ammo and pill units brought to each fight, e.g. "Heavy Ammo 20 · Cocain 1"
+ */
+function formatStock(stock) {
+    if (!stock) return 'Unlimited';
+    const units = [...Object.entries(stock.ammo), ...Object.entries(stock.pills)].filter(([, amount]) => amount > 0);
+    return units.length ? units.map(([code, amount]) => `${formatCodeToName(code)} ${amount}`).join(' · ') : 'None';
+}
+
 function renderSimulationSummaries() {
     if (ui.cumulativeDamageDisplay) {
         ui.cumulativeDamageDisplay.textContent = playerState.cumulativeDamage.toFixed(1);
@@ -158,10 +312,12 @@ function renderSimulationSummaries() {
         displays.avgDamageDisplay.textContent = damageStats.mean;
         displays.minDamageDisplay.textContent = damageStats.min;
         displays.maxDamageDisplay.textContent = damageStats.max;
+        displays.damagePercentilesDisplay.textContent = formatPercentileRange(damageStats);
 
         displays.avgHitsDisplay.textContent = ticksStats.mean.toFixed(1);
         displays.minHitsDisplay.textContent = ticksStats.min;
         displays.maxHitsDisplay.textContent = ticksStats.max;
+        displays.hitsPercentilesDisplay.textContent = formatPercentileRange(ticksStats);
 
         // Secondary / Efficiency KPIs
         const avgDph = ticksStats.mean > 0 ? (damageStats.mean / ticksStats.mean).toFixed(1) : '0';
@@ -178,6 +334,47 @@ function renderSimulationSummaries() {
             primaryFactor = "Simulation Limit";
         }
         displays.endReasonDisplay.textContent = `${primaryFactor} (${Math.max(endReasonStats.byHealth, endReasonStats.byWeapon).toFixed(0)}%)`;
+        const { lootStats, foodStats } = playerState.lastFullSimulationResult;
+        displays.foodEatenDisplay.textContent = formatFoodEaten(foodStats, damageStats);
+        // Only set with a food inventory
+        const { foodInventoryStats } = playerState.lastFullSimulationResult;
+        displays.foodItemsDisplay.textContent = formatFoodCounts(foodInventoryStats?.eatenPerFight);
+        displays.foodLeftDisplay.textContent = foodInventoryStats
+            ? `${formatFoodCounts(foodInventoryStats.leftPerFight)} (all eaten in ${foodInventoryStats.ranOut.toFixed(1)}%)`
+            : '-';
+        displays.foodOrderDisplay.textContent = formatFoodOrder(foodInventoryStats?.order);
+        // Only set when ammo and pills run out or wear off
+        const { supplyStats } = playerState.lastFullSimulationResult;
+        displays.ammoPhasesDisplay.textContent = formatAmmoPhases(supplyStats);
+        displays.pillPhasesDisplay.textContent = formatPillPhases(supplyStats);
+        displays.pillExtraDisplay.textContent = formatPillExtraDamage(supplyStats);
+        displays.damageCiDisplay.textContent = formatConfidenceInterval(damageStats);
+        displays.hitsCiDisplay.textContent = formatConfidenceInterval(ticksStats);
+        displays.runsDisplay.textContent = formatRunsUsed(playerState.lastFullSimulationResult);
+        displays.lootDropsDisplay.textContent = lootStats ? `${lootStats.drops.mean.toFixed(1)} ±${lootStats.drops.stdDev}` : '-';
+        displays.lootValueDisplay.textContent = lootStats ? `${lootStats.value.mean.toFixed(1)} ±${lootStats.value.stdDev}` : '-';
+        displays.seedDisplay.textContent = playerState.lastFullSimulationResult.seed;
+        displays.timeDisplay.textContent = formatSimulationTiming(playerState.lastFullSimulationResult);
+
+        // Exact per-hit values; older results saved without them just show '-'
+        const { analytic } = playerState.lastFullSimulationResult;
+        displays.exactDphDisplay.textContent = analytic?.atFactor ? formatExactDamagePerHit(analytic.atFactor) : '-';
+        displays.exactDphAllFactorsDisplay.textContent = analytic ? formatExactDamagePerHit(analytic) : '-';
+        displays.exactHealthLostDisplay.textContent = analytic?.atFactor ? analytic.atFactor.expectedHealthLost.toFixed(2) : '-';
+        displays.samplingNoiseDisplay.textContent = formatSamplingNoise(playerState.lastFullSimulationResult);
+
+        // Exact fight distribution; '-' when the solver couldn't handle this fight
+        const { exact } = playerState.lastFullSimulationResult;
+        displays.exactDamageDisplay.textContent = exact ? `${exact.damageStats.mean.toFixed(1)} ±${exact.damageStats.stdDev}` : '-';
+        displays.exactDamageRangeDisplay.textContent = exact ? formatPercentileRange(exact.damageStats) : '-';
+        displays.exactHitsDisplay.textContent = exact ? `${exact.ticksStats.mean.toFixed(1)} ±${exact.ticksStats.stdDev}` : '-';
+        displays.exactEndReasonDisplay.textContent = exact
+            ? `${exact.endReasonStats.byHealth.toFixed(1)}% / ${exact.endReasonStats.byWeapon.toFixed(1)}%`
+            : '-';
+        displays.exactFoodDisplay.textContent = exact?.foodStats ? formatFoodEaten(exact.foodStats, exact.damageStats) : '-';
+        displays.exactLootDisplay.textContent = exact
+            ? `${exact.lootStats.drops.mean.toFixed(1)} / ${exact.lootStats.value.mean.toFixed(1)}`
+            : '-';
 
     } else {
         // Reset all displays if no data
@@ -213,7 +410,7 @@ export function handleStatMouseEnter(event) {
     const skillCode = statItem.dataset.statCode;
     const skillName = formatCodeToName(skillCode);
     const description = SKILL_DESCRIPTIONS[skillCode] || '';
-    const stats = calculateStatDetails(skillCode);
+    const stats = calculateStatDetails(skillCode, playerState);
     let tooltipContent = `<h4>${skillName}</h4><p class="description">${description}</p>`;
     tooltipContent += `<div class="detail-line"><span>Skill Upgrade:</span><span>${formatSkillValue(skillCode, stats.skillValue)}</span></div>`;
     if (stats.equipmentItems.length > 0) {
@@ -258,6 +455,16 @@ export function showItemConfigPanel(itemData) {
         ui.itemStatsConfig.textContent = 'This item has no configurable stats.';
         setButtonEnabled(ui.equipItemButton, true);
     } else {
+        const rollQualityDisplay = document.createElement('p');
+        rollQualityDisplay.className = 'roll-quality-summary';
+        // Percentile of each rolled stat within its range, updated as the sliders move
+        const updateRollQuality = () => {
+            const stats = Object.entries(itemData.dynamicStats).map(([statCode, range]) => {
+                const slider = ui.itemStatsConfig.querySelector(`input[data-stat="${statCode}"]`);
+                return { stat: statCode, percentile: getRollPercentile(parseFloat(slider.value), range) };
+            });
+            rollQualityDisplay.innerHTML = 'Roll quality: ' + formatRollQuality(stats, stats.reduce((acc, { percentile }) => acc + percentile, 0) / stats.length);
+        };
         for (const [statCode, range] of Object.entries(itemData.dynamicStats)) {
             const [min, max] = range;
             const valueDisplayId = `config-value-${statCode}`;
@@ -265,10 +472,24 @@ export function showItemConfigPanel(itemData) {
             controlRow.className = 'stat-config-row';
             controlRow.innerHTML = `<label>${formatCodeToName(statCode)}</label><input type="range" data-stat="${statCode}" min="${min}" max="${max}" value="${min}" step="1"><span class="stat-value" id="${valueDisplayId}">${formatSkillValue(statCode, min)}</span>`;
             ui.itemStatsConfig.appendChild(controlRow);
-            controlRow.querySelector('input').addEventListener('input', e => { document.getElementById(valueDisplayId).textContent = formatSkillValue(statCode, e.target.value); });
+            controlRow.querySelector('input').addEventListener('input', e => {
+                document.getElementById(valueDisplayId).textContent = formatSkillValue(statCode, e.target.value);
+                updateRollQuality();
+            });
         }
+        ui.itemStatsConfig.appendChild(rollQualityDisplay);
+        updateRollQuality();
         setButtonEnabled(ui.equipItemButton, true);
     }
+    // Weapons and equipment can be equipped partially worn
+    if (itemData.durability) {
+        const maxDurability = itemData.durability;
+        const durabilityRow = document.createElement('div');
+        durabilityRow.className = 'stat-config-row';
+        durabilityRow.innerHTML = `<label>Durability</label><input type="range" data-durability min="1" max="${maxDurability}" value="${maxDurability}" step="1"><span class="stat-value" id="config-value-durability">${maxDurability}/${maxDurability}</span>`;
+        ui.itemStatsConfig.appendChild(durabilityRow);
+        durabilityRow.querySelector('input').addEventListener('input', e => { document.getElementById('config-value-durability').textContent = `${e.target.value}/${maxDurability}`; });
+    }
     ui.itemConfigPanel.classList.remove('hidden');
 }
 
@@ -380,6 +601,8 @@ export function cacheDOMElements() {
     ui.configItemIconContainer = document.getElementById('config-item-icon-container');
     ui.itemStatsConfig = document.getElementById('item-stats-config');
     ui.equipItemButton = document.getElementById('equip-item-btn');
+    ui.addOwnedItemButton = document.getElementById('add-owned-item-btn');
+    ui.addCandidateItemButton = document.getElementById('add-candidate-item-btn');
     ui.inventoryGrid = document.querySelector('.inventory-grid');
     ui.simulateBtn = document.getElementById('simulate-btn');
     ui.exportBtn = document.getElementById('export-btn');
@@ -391,12 +614,38 @@ export function cacheDOMElements() {
         avgDamageDisplay: document.getElementById('full-sim-avg-damage-display'),
         minDamageDisplay: document.getElementById('full-sim-min-damage-display'),
         maxDamageDisplay: document.getElementById('full-sim-max-damage-display'),
+        damagePercentilesDisplay: document.getElementById('full-sim-damage-percentiles-display'),
         avgHitsDisplay: document.getElementById('full-sim-avg-hits-display'),
         minHitsDisplay: document.getElementById('full-sim-min-hits-display'),
         maxHitsDisplay: document.getElementById('full-sim-max-hits-display'),
+        hitsPercentilesDisplay: document.getElementById('full-sim-hits-percentiles-display'),
         dphDisplay: document.getElementById('full-sim-dph-display'),
         consistencyDisplay: document.getElementById('full-sim-consistency-display'),
-        endReasonDisplay: document.getElementById('full-sim-end-reason-display')
+        endReasonDisplay: document.getElementById('full-sim-end-reason-display'),
+        damageCiDisplay: document.getElementById('full-sim-damage-ci-display'),
+        hitsCiDisplay: document.getElementById('full-sim-hits-ci-display'),
+        runsDisplay: document.getElementById('full-sim-runs-display'),
+        foodEatenDisplay: document.getElementById('full-sim-food-eaten-display'),
+        foodItemsDisplay: document.getElementById('full-sim-food-items-display'),
+        foodLeftDisplay: document.getElementById('full-sim-food-left-display'),
+        foodOrderDisplay: document.getElementById('full-sim-food-order-display'),
+        ammoPhasesDisplay: document.getElementById('full-sim-ammo-phases-display'),
+        pillPhasesDisplay: document.getElementById('full-sim-pill-phases-display'),
+        pillExtraDisplay: document.getElementById('full-sim-pill-extra-display'),
+        lootDropsDisplay: document.getElementById('full-sim-loot-drops-display'),
+        lootValueDisplay: document.getElementById('full-sim-loot-value-display'),
+        seedDisplay: document.getElementById('full-sim-seed-display'),
+        timeDisplay: document.getElementById('full-sim-time-display'),
+        exactDphDisplay: document.getElementById('full-sim-exact-dph-display'),
+        exactDphAllFactorsDisplay: document.getElementById('full-sim-exact-dph-all-factors-display'),
+        exactHealthLostDisplay: document.getElementById('full-sim-exact-health-lost-display'),
+        samplingNoiseDisplay: document.getElementById('full-sim-sampling-noise-display'),
+        exactDamageDisplay: document.getElementById('full-sim-exact-damage-display'),
+        exactDamageRangeDisplay: document.getElementById('full-sim-exact-damage-range-display'),
+        exactHitsDisplay: document.getElementById('full-sim-exact-hits-display'),
+        exactEndReasonDisplay: document.getElementById('full-sim-exact-end-reason-display'),
+        exactFoodDisplay: document.getElementById('full-sim-exact-food-display'),
+        exactLootDisplay: document.getElementById('full-sim-exact-loot-display')
     };
     
     // Legacy elements (for backward compatibility)
@@ -429,6 +678,24 @@ export function cacheDOMElements() {
     ui.advancedSimulationSection = document.getElementById('advanced-simulation-section');
     ui.simulationRunsSelect = document.getElementById('simulation-runs');
     ui.foodSelectionAdvanced = document.getElementById('food-selection-advanced');
+    ui.simulationSeedInput = document.getElementById('simulation-seed');
+    ui.simulationSeedSimpleInput = document.getElementById('simulation-seed-simple');
+    ui.opponentSelectionSimple = document.getElementById('opponent-selection-simple');
+    ui.opponentSelectionAdvanced = document.getElementById('opponent-selection-advanced');
+    ui.lootTableSelectionSimple = document.getElementById('loot-table-selection-simple');
+    ui.lootTableSelectionAdvanced = document.getElementById('loot-table-selection-advanced');
+    ui.eatingPolicySelectionSimple = document.getElementById('eating-policy-selection-simple');
+    ui.eatingPolicySelectionAdvanced = document.getElementById('eating-policy-selection-advanced');
+    ui.stockModeSimple = document.getElementById('stock-mode-simple');
+    ui.stockModeAdvanced = document.getElementById('stock-mode-advanced');
+    ui.stockInputsSimple = document.getElementById('stock-inputs-simple');
+    ui.stockInputsAdvanced = document.getElementById('stock-inputs-advanced');
+    ui.foodModeSimple = document.getElementById('food-mode-simple');
+    ui.foodModeAdvanced = document.getElementById('food-mode-advanced');
+    ui.foodInventorySimple = document.getElementById('food-inventory-simple');
+    ui.foodInventoryAdvanced = document.getElementById('food-inventory-advanced');
+    ui.foodOrderSimple = document.getElementById('food-order-simple');
+    ui.foodOrderAdvanced = document.getElementById('food-order-advanced');
     
     // Build comparison elements
     ui.buildAInfo = document.getElementById('build-a-info');
@@ -442,12 +709,38 @@ export function cacheDOMElements() {
     ui.buildAAvgDamage = document.getElementById('build-a-avg-damage');
     ui.buildAAvgHits = document.getElementById('build-a-avg-hits');
     ui.buildADph = document.getElementById('build-a-dph');
+    ui.buildAExactDph = document.getElementById('build-a-exact-dph');
+    ui.buildAFood = document.getElementById('build-a-food');
+    ui.buildALoot = document.getElementById('build-a-loot');
+    ui.buildAFoodItems = document.getElementById('build-a-food-items');
+    ui.buildAAmmoPhases = document.getElementById('build-a-ammo-phases');
+    ui.buildAPillPhases = document.getElementById('build-a-pill-phases');
+    ui.buildAPillExtra = document.getElementById('build-a-pill-extra');
     ui.buildAConsistency = document.getElementById('build-a-consistency');
     ui.buildBAvgDamage = document.getElementById('build-b-avg-damage');
     ui.buildBAvgHits = document.getElementById('build-b-avg-hits');
     ui.buildBDph = document.getElementById('build-b-dph');
+    ui.buildBExactDph = document.getElementById('build-b-exact-dph');
+    ui.buildBFood = document.getElementById('build-b-food');
+    ui.buildBLoot = document.getElementById('build-b-loot');
+    ui.buildBFoodItems = document.getElementById('build-b-food-items');
+    ui.buildBAmmoPhases = document.getElementById('build-b-ammo-phases');
+    ui.buildBPillPhases = document.getElementById('build-b-pill-phases');
+    ui.buildBPillExtra = document.getElementById('build-b-pill-extra');
     ui.buildBConsistency = document.getElementById('build-b-consistency');
     ui.comparisonChart = document.getElementById('comparison-chart');
+    ui.comparisonSeedDisplay = document.getElementById('comparison-seed-display');
+    ui.comparisonTimeDisplay = document.getElementById('comparison-time-display');
+    ui.comparisonRunsDisplay = document.getElementById('comparison-runs-display');
+    ui.comparisonSignificanceBody = document.getElementById('comparison-significance-body');
+    ui.comparisonWinProbability = document.getElementById('comparison-win-probability');
+    ui.comparisonOpponentDisplay = document.getElementById('comparison-opponent-display');
+    ui.comparisonLootTableDisplay = document.getElementById('comparison-loot-table-display');
+    ui.comparisonEatingPolicyDisplay = document.getElementById('comparison-eating-policy-display');
+    ui.comparisonStockDisplay = document.getElementById('comparison-stock-display');
+    ui.comparisonFoodOrderDisplay = document.getElementById('comparison-food-order-display');
+    ui.simulationProgressSimple = document.getElementById('simulation-progress-simple');
+    ui.simulationProgressAdvanced = document.getElementById('simulation-progress-advanced');
     
     // Single build analysis elements
     ui.analyzeCurrentBuildBtn = document.getElementById('analyze-current-build-btn');
@@ -460,6 +753,86 @@ export function cacheDOMElements() {
     ui.singleHealthLoss = document.getElementById('single-health-loss');
     ui.singleWeaponBreak = document.getElementById('single-weapon-break');
     ui.distributionChart = document.getElementById('distribution-chart');
+    ui.distributionMetricSelect = document.getElementById('distribution-metric-select');
+    ui.distributionCdfToggle = document.getElementById('distribution-cdf-toggle');
+
+    // Skill optimizer elements
+    ui.optimizerLevelInput = document.getElementById('optimizer-level');
+    ui.optimizerObjectiveSelect = document.getElementById('optimizer-objective');
+    ui.optimizerTopNSelect = document.getElementById('optimizer-top-n');
+    ui.optimizerWeights = document.getElementById('optimizer-weights');
+    ui.optimizerWeightDamage = document.getElementById('optimizer-weight-damage');
+    ui.optimizerWeightDph = document.getElementById('optimizer-weight-dph');
+    ui.optimizerWeightHits = document.getElementById('optimizer-weight-hits');
+    ui.optimizeSkillsBtn = document.getElementById('optimize-skills-btn');
+    ui.optimizerResults = document.getElementById('optimizer-results');
+    ui.optimizerResultsBody = document.getElementById('optimizer-results-body');
+    ui.optimizerLevelDisplay = document.getElementById('optimizer-level-display');
+    ui.optimizerBaselineDisplay = document.getElementById('optimizer-baseline-display');
+    ui.optimizerTimeDisplay = document.getElementById('optimizer-time-display');
+    ui.marginalSkillsBtn = document.getElementById('marginal-skills-btn');
+    ui.marginalSkillsResults = document.getElementById('marginal-skills-results');
+    ui.marginalSkillsBody = document.getElementById('marginal-skills-body');
+    ui.marginalSkillsBaselineDisplay = document.getElementById('marginal-skills-baseline-display');
+    ui.marginalSkillsPointsDisplay = document.getElementById('marginal-skills-points-display');
+    ui.plannerTargetSelect = document.getElementById('planner-target-select');
+    ui.planProgressionBtn = document.getElementById('plan-progression-btn');
+    ui.plannerResults = document.getElementById('planner-results');
+    ui.plannerTargetDisplay = document.getElementById('planner-target-display');
+    ui.plannerStatusDisplay = document.getElementById('planner-status-display');
+    ui.plannerChart = document.getElementById('planner-chart');
+    ui.plannerRoadmapBody = document.getElementById('planner-roadmap-body');
+    ui.exportRoadmapBtn = document.getElementById('export-roadmap-btn');
+    ui.templateSelect = document.getElementById('template-select');
+    ui.templateLevelInput = document.getElementById('template-level');
+    ui.templatePrioritiesDisplay = document.getElementById('template-priorities-display');
+    ui.applyTemplateBtn = document.getElementById('apply-template-btn');
+    ui.templateGrowthBtn = document.getElementById('template-growth-btn');
+    ui.shareTemplateBtn = document.getElementById('share-template-btn');
+    ui.deleteTemplateBtn = document.getElementById('delete-template-btn');
+    ui.templateJsonInput = document.getElementById('template-json');
+    ui.saveTemplateBtn = document.getElementById('save-template-btn');
+    ui.templateGrowthResults = document.getElementById('template-growth-results');
+    ui.templateGrowthNameDisplay = document.getElementById('template-growth-name-display');
+    ui.templateGrowthFinalDisplay = document.getElementById('template-growth-final-display');
+    ui.templateGrowthChart = document.getElementById('template-growth-chart');
+    ui.ownedItemsList = document.getElementById('owned-items-list');
+    ui.loadoutTopNSelect = document.getElementById('loadout-top-n');
+    ui.optimizeLoadoutBtn = document.getElementById('optimize-loadout-btn');
+    ui.loadoutResults = document.getElementById('loadout-results');
+    ui.loadoutBaselineDisplay = document.getElementById('loadout-baseline-display');
+    ui.loadoutTimeDisplay = document.getElementById('loadout-time-display');
+    ui.loadoutResultsBody = document.getElementById('loadout-results-body');
+    ui.loadoutItemValuesBody = document.getElementById('loadout-item-values-body');
+    ui.scoreItemRollsBtn = document.getElementById('score-item-rolls-btn');
+    ui.rollQualityResults = document.getElementById('roll-quality-results');
+    ui.rollQualityTimeDisplay = document.getElementById('roll-quality-time-display');
+    ui.rollQualityResultsBody = document.getElementById('roll-quality-results-body');
+    ui.candidateItemsList = document.getElementById('candidate-items-list');
+    ui.evaluateUpgradesBtn = document.getElementById('evaluate-upgrades-btn');
+    ui.upgradeResults = document.getElementById('upgrade-results');
+    ui.upgradeResultsBody = document.getElementById('upgrade-results-body');
+    ui.materialPrices = document.getElementById('material-prices');
+    ui.productPrices = document.getElementById('product-prices');
+    ui.productionPointPriceInput = document.getElementById('production-point-price');
+    ui.compareAmmoCostsBtn = document.getElementById('compare-ammo-costs-btn');
+    ui.ammoCostResults = document.getElementById('ammo-cost-results');
+    ui.ammoCostPillDisplay = document.getElementById('ammo-cost-pill-display');
+    ui.ammoCostFoodDisplay = document.getElementById('ammo-cost-food-display');
+    ui.ammoCostResultsBody = document.getElementById('ammo-cost-results-body');
+    ui.ammoCostUnpriced = document.getElementById('ammo-cost-unpriced');
+    ui.supplyGoalSelect = document.getElementById('supply-goal');
+    ui.supplyAmountInput = document.getElementById('supply-amount');
+    ui.supplyAmmoSelect = document.getElementById('supply-ammo');
+    ui.supplyPillSelect = document.getElementById('supply-pill');
+    ui.supplyFoodSelect = document.getElementById('supply-food');
+    ui.planSuppliesBtn = document.getElementById('plan-supplies-btn');
+    ui.supplyResults = document.getElementById('supply-results');
+    ui.supplyFightsDisplay = document.getElementById('supply-fights-display');
+    ui.supplyDamageDisplay = document.getElementById('supply-damage-display');
+    ui.supplyPointsDisplay = document.getElementById('supply-points-display');
+    ui.supplyProductsBody = document.getElementById('supply-products-body');
+    ui.supplyMaterialsBody = document.getElementById('supply-materials-body');
 }
 
 export function renderApiLoader() {
@@ -544,6 +917,32 @@ export function handleProgressBlockMouseLeave() {
     ui.statTooltip.style.opacity = 0;
 }
 
+/**
+ * Shows the live progress of a running Monte Carlo simulation
+ */
+export function renderSimulationProgress(container, { completed, total, runningMeanDamage, runningMeanHits, autoRuns }, label = '') {
+    if (!container) return;
+    let percent = total > 0 ? (completed / total) * 100 : 0;
+    let text = `${label ? `${label}: ` : ''}${completed} / ${total} runs`;
+    if (autoRuns) {
+        // The margin shrinks with the square root of the runs, which gives the share of the runs already done
+        const precisionShare = Number.isFinite(autoRuns.margin) && autoRuns.margin > 0 ? (autoRuns.precision / autoRuns.margin) ** 2 : 0;
+        percent = Math.min(100, Math.max(precisionShare, autoRuns.elapsedMs / autoRuns.timeBudgetMs) * 100);
+        const margin = Number.isFinite(autoRuns.margin) ? `±${autoRuns.margin.toFixed(2)}%` : '-';
+        text = `${label ? `${label}: ` : ''}${completed} runs · ${margin} of ±${autoRuns.precision}% target`;
+    }
+    container.querySelector('.simulation-progress-fill').style.width = `${percent}%`;
+    if (completed > 0) {
+        text += ` · running mean ${runningMeanDamage.toFixed(1)} dmg, ${runningMeanHits.toFixed(1)} hits`;
+    }
+    container.querySelector('.simulation-progress-text').textContent = text;
+    container.classList.remove('hidden');
+}
+
+export function hideSimulationProgress(container) {
+    if (container) container.classList.add('hidden');
+}
+
 // === ADVANCED SIMULATION FUNCTIONS ===
 
 /**
@@ -566,22 +965,95 @@ export function updateBuildInfo(buildSlot, buildData, isCurrentBuild = false) {
     }
 }
 
+/**
+ * Formats a p-value, e.g. "0.032" or "< 0.001"
+ */
+function formatPValue(pValue) {
+    return pValue < 0.001 ? '< 0.001' : pValue.toFixed(3);
+}
+
+/**
+ * Fills the significance table: one row per metric with B - A, its interval, the p-value and a verdict
+ */
+function renderComparisonSignificance(significance) {
+    const rows = [
+        { label: 'Avg. Damage', comparison: significance?.damage },
+        { label: 'Avg. Hits', comparison: significance?.hits },
+        { label: 'Food Eaten', comparison: significance?.food },
+        { label: 'Loot Value', comparison: significance?.lootValue }
+    ];
+    const signed = (value, digits = 1) => `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`;
+
+    ui.comparisonSignificanceBody.innerHTML = rows.map(({ label, comparison }) => {
+        if (!comparison) {
+            return `<tr><td>${label}</td><td>-</td><td>-</td><td>-</td><td class="verdict-inconclusive">No samples</td></tr>`;
+        }
+        const { difference, relativeDifference, interval, pValue, conclusive } = comparison;
+        const relative = relativeDifference !== null ? ` (${signed(relativeDifference, 2)}%)` : '';
+        let verdict = 'Inconclusive: could be noise';
+        if (conclusive) verdict = `Conclusive: B is ${difference > 0 ? 'higher' : 'lower'}`;
+        else if (difference === 0 && interval.low === interval.high) verdict = 'Identical';
+        return `
+            <tr>
+                <td>${label}</td>
+                <td>${signed(difference)}${relative}</td>
+                <td>${signed(interval.low)} to ${signed(interval.high)}</td>
+                <td>${formatPValue(pValue)}</td>
+                <td class="${conclusive ? 'verdict-conclusive' : 'verdict-inconclusive'}">${verdict}</td>
+            </tr>`;
+    }).join('');
+
+    const winProbability = significance?.damageWinProbability;
+    ui.comparisonWinProbability.textContent = winProbability === null || winProbability === undefined
+        ? '-'
+        : `${(winProbability * 100).toFixed(1)}%`;
+}
+
 /**
  * Shows comparison results with charts
+ * @param {object} buildAResults - Monte Carlo analysis of build A
+ * @param {object} buildBResults - Monte Carlo analysis of build B
+ * @param {object} [significance] - Differences between them (see compareAnalyses)
  */
-export function showComparisonResults(buildAResults, buildBResults) {
+export function showComparisonResults(buildAResults, buildBResults, significance) {
     // Update Build A results
-    ui.buildAAvgDamage.textContent = buildAResults.damageStats.mean.toFixed(1);
-    ui.buildAAvgHits.textContent = buildAResults.ticksStats.mean.toFixed(1);
+    ui.buildAAvgDamage.textContent = formatConfidenceInterval(buildAResults.damageStats);
+    ui.buildAAvgHits.textContent = formatConfidenceInterval(buildAResults.ticksStats);
     ui.buildADph.textContent = (buildAResults.damageStats.mean / buildAResults.ticksStats.mean).toFixed(1);
+    ui.buildAExactDph.textContent = buildAResults.analytic?.atFactor ? formatExactDamagePerHit(buildAResults.analytic.atFactor) : '-';
+    ui.buildAFood.textContent = formatFoodEaten(buildAResults.foodStats, buildAResults.damageStats);
+    ui.buildALoot.textContent = formatLootPerFight(buildAResults.lootStats);
+    ui.buildAFoodItems.textContent = formatFoodCounts(buildAResults.foodInventoryStats?.eatenPerFight);
+    ui.buildAAmmoPhases.textContent = formatAmmoPhases(buildAResults.supplyStats);
+    ui.buildAPillPhases.textContent = formatPillPhases(buildAResults.supplyStats);
+    ui.buildAPillExtra.textContent = formatPillExtraDamage(buildAResults.supplyStats);
     ui.buildAConsistency.textContent = `${((1 - buildAResults.damageStats.stdDev / buildAResults.damageStats.mean) * 100).toFixed(1)}%`;
     
     // Update Build B results
-    ui.buildBAvgDamage.textContent = buildBResults.damageStats.mean.toFixed(1);
-    ui.buildBAvgHits.textContent = buildBResults.ticksStats.mean.toFixed(1);
+    ui.buildBAvgDamage.textContent = formatConfidenceInterval(buildBResults.damageStats);
+    ui.buildBAvgHits.textContent = formatConfidenceInterval(buildBResults.ticksStats);
     ui.buildBDph.textContent = (buildBResults.damageStats.mean / buildBResults.ticksStats.mean).toFixed(1);
+    ui.buildBExactDph.textContent = buildBResults.analytic?.atFactor ? formatExactDamagePerHit(buildBResults.analytic.atFactor) : '-';
+    ui.buildBFood.textContent = formatFoodEaten(buildBResults.foodStats, buildBResults.damageStats);
+    ui.buildBLoot.textContent = formatLootPerFight(buildBResults.lootStats);
+    ui.buildBFoodItems.textContent = formatFoodCounts(buildBResults.foodInventoryStats?.eatenPerFight);
+    ui.buildBAmmoPhases.textContent = formatAmmoPhases(buildBResults.supplyStats);
+    ui.buildBPillPhases.textContent = formatPillPhases(buildBResults.supplyStats);
+    ui.buildBPillExtra.textContent = formatPillExtraDamage(buildBResults.supplyStats);
     ui.buildBConsistency.textContent = `${((1 - buildBResults.damageStats.stdDev / buildBResults.damageStats.mean) * 100).toFixed(1)}%`;
     
+    // Both builds are simulated with the same seed
+    ui.comparisonSeedDisplay.textContent = buildAResults.seed;
+    ui.comparisonTimeDisplay.textContent = `A: ${formatSimulationTiming(buildAResults)} · B: ${formatSimulationTiming(buildBResults)}`;
+    ui.comparisonRunsDisplay.textContent = `A: ${formatRunsUsed(buildAResults)} · B: ${formatRunsUsed(buildBResults)}`;
+    ui.comparisonOpponentDisplay.textContent = buildAResults.opponent?.name || '-';
+    ui.comparisonLootTableDisplay.textContent = buildAResults.lootTable?.name || '-';
+    ui.comparisonEatingPolicyDisplay.textContent = buildAResults.eatingPolicy?.name || '-';
+    ui.comparisonStockDisplay.textContent = formatStock(buildAResults.stock);
+    ui.comparisonFoodOrderDisplay.textContent = formatFoodOrder(buildAResults.foodInventoryStats?.order);
+    
+    renderComparisonSignificance(significance);
+    
     // Show results section
     ui.comparisonResults.classList.remove('hidden');
     
@@ -589,6 +1061,466 @@ export function showComparisonResults(buildAResults, buildBResults) {
     createComparisonChart(buildAResults, buildBResults);
 }
 
+/**
+ * Formats an allocation's skill levels, e.g. "Attack 4 · Armor 3" (skills at level 0 are left out)
+ */
+function formatSkillAllocation(skillLevelsAssigned) {
+    const assigned = Object.entries(skillLevelsAssigned).filter(([, level]) => level > 0);
+    return assigned.length ? assigned.map(([skillCode, level]) => `${formatCodeToName(skillCode)} ${level}`).join(' · ') : 'No skills';
+}
+
+/**
+ * Formats the expected numbers of an allocation, e.g. "4512.3 dmg (18.9 hits × 238.7)"
+ */
+function formatOptimizerMetrics({ damage, hits, damagePerHit, exact }) {
+    return `${damage.toFixed(1)} dmg (${exact ? '' : '≈'}${hits.toFixed(1)} hits × ${damagePerHit.toFixed(1)})`;
+}
+
+/**
+ * Shows the ranked allocations of the skill optimizer, each with an Apply button
+ * @param {object} optimization - The optimizer's output (see optimizeSkillAllocation)
+ */
+export function showOptimizerResults(optimization) {
+    const { playerLevel, budget, baseline, results, computeTimeMs, evaluated } = optimization;
+    const relative = (value, base) => base > 0 ? `${value >= base ? '+' : ''}${((value / base - 1) * 100).toFixed(1)}%` : '-';
+
+    ui.optimizerLevelDisplay.textContent = `${playerLevel} (${budget} points)`;
+    ui.optimizerBaselineDisplay.textContent = formatOptimizerMetrics(baseline);
+    ui.optimizerTimeDisplay.textContent = `${computeTimeMs.toFixed(0)} ms (${evaluated.toLocaleString()} allocations)`;
+    ui.optimizerResultsBody.innerHTML = results.length
+        ? results.map((result, index) => `
+            <tr>
+                <td>${index + 1}</td>
+                <td class="optimizer-skills">${formatSkillAllocation(result.skillLevelsAssigned)}</td>
+                <td>${result.pointsSpent}/${budget}</td>
+                <td>${result.metrics.damagePerHit.toFixed(1)}</td>
+                <td>${result.metrics.exact ? '' : '≈'}${result.metrics.hits.toFixed(1)}</td>
+                <td>${result.metrics.damage.toFixed(1)}</td>
+                <td>${relative(result.score, baseline.score)}</td>
+                <td><button class="action-btn small optimizer-apply-btn" data-result-index="${index}">Apply</button></td>
+            </tr>`).join('')
+        : '<tr><td colspan="8">No legal allocation found.</td></tr>';
+    ui.optimizerResults.classList.remove('hidden');
+}
+
+/**
+ * Shows the value of one more (and one less) level of each skill, best damage per point first
+ * @param {object} marginalValues - Per-skill upgrades and refunds (see calculateMarginalSkillValues)
+ */
+export function showMarginalSkillValues({ baseline, pointsAvailable, skills }) {
+    const signed = (value, digits = 1) => `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`;
+    const describeUpgrade = (upgrade) => {
+        if (!upgrade) return 'Max level';
+        const cost = `Lv ${upgrade.level} for ${upgrade.cost} pt${upgrade.cost === 1 ? '' : 's'}`;
+        if (upgrade.status === 'locked') return `${cost} (unlocks at level ${upgrade.unlockAtLevel})`;
+        if (upgrade.status === 'not_enough_points') return `${cost} (not enough points)`;
+        return cost;
+    };
+
+    ui.marginalSkillsBaselineDisplay.textContent = formatOptimizerMetrics(baseline);
+    ui.marginalSkillsPointsDisplay.textContent = pointsAvailable;
+    ui.marginalSkillsBody.innerHTML = skills.map(({ skillCode, level, upgrade, refund }) => `
+        <tr>
+            <td>${formatCodeToName(skillCode)} ${level}</td>
+            <td class="${upgrade?.status === 'available' ? '' : 'verdict-inconclusive'}">${describeUpgrade(upgrade)}</td>
+            <td>${upgrade ? signed(upgrade.delta.damage) : '-'}</td>
+            <td>${upgrade ? signed(upgrade.delta.hits, 2) : '-'}</td>
+            <td class="${upgrade?.status === 'available' && upgrade.gainPerPoint > 0 ? 'verdict-conclusive' : ''}">${upgrade ? upgrade.gainPerPoint.toFixed(1) : '-'}</td>
+            <td class="${refund && refund.lossPerPoint <= 0 ? 'verdict-inconclusive' : ''}">${refund ? `${refund.lossPerPoint.toFixed(1)}${refund.lossPerPoint <= 0 ? ' (dead weight)' : ''}` : '-'}</td>
+        </tr>`).join('');
+    ui.marginalSkillsResults.classList.remove('hidden');
+}
+
+/**
+ * Plots the expected damage per fight (and hits survived) at every player level, e.g. of a roadmap
+ * @param {HTMLCanvasElement} canvas - Where to draw
+ * @param {string} chartName - Global name the chart is kept under, so the next one replaces it
+ * @param {Array<object>} steps - One entry per level, with playerLevel and metrics
+ * @param {function(object): string} describeStep - Extra tooltip line for a level
+ */
+function createLevelGrowthChart(canvas, chartName, steps, describeStep) {
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+
+    // Clear previous chart
+    if (window[chartName]) {
+        window[chartName].destroy();
+    }
+
+    const axisStyle = (title) => ({
+        title: { display: true, text: title, color: '#ffffff', font: { size: 14, weight: 'bold' } },
+        ticks: { color: '#ffffff', font: { size: 12 } },
+        grid: { color: 'rgba(255, 255, 255, 0.1)' }
+    });
+    const config = {
+        type: 'line',
+        data: {
+            labels: steps.map(step => step.playerLevel),
+            datasets: [{
+                label: 'Damage/Fight',
+                data: steps.map(step => step.metrics.damage),
+                borderColor: 'rgba(59, 130, 246, 1)',
+                backgroundColor: 'rgba(59, 130, 246, 0.1)',
+                borderWidth: 3,
+                fill: true,
+                pointRadius: 2,
+                yAxisID: 'y'
+            }, {
+                label: 'Hits',
+                data: steps.map(step => step.metrics.hits),
+                borderColor: 'rgba(34, 197, 94, 1)',
+                borderWidth: 2,
+                borderDash: [6, 4],
+                pointRadius: 0,
+                yAxisID: 'hits'
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { labels: { color: '#ffffff' } },
+                tooltip: {
+                    backgroundColor: 'rgba(0, 0, 0, 0.9)',
+                    borderColor: '#3b82f6',
+                    borderWidth: 1,
+                    cornerRadius: 8,
+                    callbacks: {
+                        title: (context) => `Level ${context[0].label}`,
+                        afterBody: (context) => describeStep(steps[context[0].dataIndex])
+                    }
+                }
+            },
+            scales: {
+                x: axisStyle('Player Level'),
+                y: { ...axisStyle('Expected Damage per Fight'), beginAtZero: true },
+                hits: { ...axisStyle('Hits'), position: 'right', beginAtZero: true, grid: { drawOnChartArea: false } }
+            },
+            interaction: {
+                intersect: false,
+                mode: 'index'
+            }
+        }
+    };
+
+    window[chartName] = new Chart(ctx, config);
+}
+
+/**
+ * Formats the skill levels bought at a level, e.g. "Attack → 3 · Armor → 1"
+ */
+function formatRoadmapPurchases(purchases) {
+    return purchases.map(({ skillCode, level }) => `${formatCodeToName(skillCode)} → ${level}`).join(' · ');
+}
+
+/**
+ * Shows a progression roadmap: whether the target is reached, the damage chart and the level-by-level table
+ * @param {object} plan - The roadmap (see planSkillProgression)
+ * @param {string} targetName - Name of the target build
+ */
+export function showProgressionPlan(plan, targetName) {
+    const { steps, reachedAtLevel, missing } = plan;
+    ui.plannerTargetDisplay.textContent = targetName;
+    ui.plannerStatusDisplay.textContent = reachedAtLevel !== null
+        ? `Reached at level ${reachedAtLevel}`
+        : `Not reachable by level ${steps[steps.length - 1].playerLevel}, missing ${missing.map(({ skillCode, level, targetLevel }) => `${formatCodeToName(skillCode)} ${level}/${targetLevel}`).join(', ')}`;
+    ui.plannerRoadmapBody.innerHTML = steps.map(step => `
+        <tr>
+            <td>${step.playerLevel}</td>
+            <td class="${step.purchases.length ? '' : 'verdict-inconclusive'}">${step.purchases.length ? formatRoadmapPurchases(step.purchases) : 'Save points'}</td>
+            <td>${step.pointsAvailable}</td>
+            <td>${step.metrics.damage.toFixed(1)}</td>
+            <td>${step.metrics.exact ? '' : '≈'}${step.metrics.hits.toFixed(1)}</td>
+        </tr>`).join('');
+    ui.plannerResults.classList.remove('hidden');
+    createLevelGrowthChart(ui.plannerChart, 'progressionChart', steps,
+        ({ purchases }) => purchases.length ? `Buy: ${formatRoadmapPurchases(purchases)}` : '');
+}
+
+/**
+ * Formats a template's priorities, e.g. "Attack → 5 › Precision → 6"
+ */
+function formatTemplatePriorities(template) {
+    return template.priorities.map(({ skill, level }) => `${formatCodeToName(skill)} → ${level}`).join(' › ');
+}
+
+/**
+ * Shows the priorities of the selected allocation template
+ * @param {object} template - The template (see ALLOCATION_TEMPLATES)
+ */
+export function showTemplatePriorities(template) {
+    ui.templatePrioritiesDisplay.textContent = template ? formatTemplatePriorities(template) : '-';
+}
+
+/**
+ * Plots a template's damage-growth curve: its allocation applied at every level
+ * @param {Array<object>} growth - One entry per level (see calculateTemplateGrowth)
+ * @param {object} template - The template (see ALLOCATION_TEMPLATES)
+ */
+export function showTemplateGrowth(growth, template) {
+    const final = growth[growth.length - 1];
+    ui.templateGrowthNameDisplay.textContent = template.name;
+    ui.templateGrowthFinalDisplay.textContent = `${formatOptimizerMetrics(final.metrics)} · ${formatSkillAllocation(final.skillLevelsAssigned)}`;
+    ui.templateGrowthResults.classList.remove('hidden');
+    createLevelGrowthChart(ui.templateGrowthChart, 'templateGrowthChart', growth,
+        ({ skillLevelsAssigned, pointsAvailable }) => `${formatSkillAllocation(skillLevelsAssigned)} (${pointsAvailable} pts left)`);
+}
+
+/**
+ * Formats an item's rolled stats and durability, e.g. "Attack 85 · Critical Chance 12% · 80/100"
+ */
+function formatItemStats(item) {
+    const stats = Object.entries(item.stats || {}).map(([statCode, value]) => `${formatCodeToName(statCode)} ${formatSkillValue(statCode, value)}`);
+    if (item.durability !== undefined) stats.push(`${item.durability}/${getItemMaxDurability(item.code)}`);
+    return stats.join(' · ');
+}
+
+/**
+ * Formats an item's roll quality: the mean percentile, then each stat's percentile within its range
+ * @param {Array<object>} stats - Each rolled stat with its percentile (see calculateRollQuality)
+ * @param {number} quality - The mean percentile
+ */
+function formatRollQuality(stats, quality) {
+    const perStat = stats.map(({ stat, percentile }) => `${formatCodeToName(stat)} p${percentile.toFixed(0)}`).join(' · ');
+    return `<strong>${quality.toFixed(0)}%</strong> (${perStat})`;
+}
+
+/**
+ * Lists item instances with their slot and stats, each with a Remove button
+ */
+function renderItemList(container, items, removeButtonClass, emptyText) {
+    if (items.length === 0) {
+        container.innerHTML = `<p>${emptyText}</p>`;
+        return;
+    }
+    container.innerHTML = items.map((item, index) => `
+        <div class="owned-item">
+            <span><strong>${item.name}</strong> (${formatCodeToName(item.slot)}) ${formatItemStats(item)}</span>
+            <button class="action-btn small ${removeButtonClass}" data-item-index="${index}">Remove</button>
+        </div>`).join('');
+}
+
+/**
+ * Lists the owned items, each with a Remove button
+ * @param {Array<object>} ownedItems - Owned item instances with their slot
+ */
+export function renderOwnedItems(ownedItems) {
+    renderItemList(ui.ownedItemsList, ownedItems, 'remove-owned-item-btn', 'No owned items yet.');
+}
+
+/**
+ * Lists the candidate items of the upgrade evaluator, each with a Remove button
+ * @param {Array<object>} candidateItems - Hypothetical item instances with their slot
+ */
+export function renderCandidateItems(candidateItems) {
+    renderItemList(ui.candidateItemsList, candidateItems, 'remove-candidate-item-btn', 'No candidate items yet.');
+}
+
+/**
+ * Shows the best loadouts among the owned items (each with an Apply button) and what each item is worth
+ * @param {object} optimization - The optimizer's output (see optimizeLoadout)
+ */
+export function showLoadoutResults({ baseline, results, itemValues, computeTimeMs, evaluated }) {
+    const relative = (value, base) => base > 0 ? `${value >= base ? '+' : ''}${((value / base - 1) * 100).toFixed(1)}%` : '-';
+    const describeLoadout = (equippedItems) => Object.entries(equippedItems)
+        .map(([slot, item]) => `${formatCodeToName(slot)}: ${item ? `${item.name} (${formatItemStats(item)})` : '-'}`)
+        .join('<br>');
+
+    ui.loadoutBaselineDisplay.textContent = formatOptimizerMetrics(baseline);
+    ui.loadoutTimeDisplay.textContent = `${computeTimeMs.toFixed(0)} ms (${evaluated.toLocaleString()} loadouts)`;
+    ui.loadoutResultsBody.innerHTML = results.map((result, index) => `
+        <tr>
+            <td>${index + 1}</td>
+            <td class="optimizer-skills">${describeLoadout(result.equippedItems)}</td>
+            <td>${result.metrics.damagePerHit.toFixed(1)}</td>
+            <td>${result.metrics.exact ? '' : '≈'}${result.metrics.hits.toFixed(1)}</td>
+            <td>${result.metrics.damage.toFixed(1)}</td>
+            <td>${relative(result.metrics.damage, baseline.damage)}</td>
+            <td><button class="action-btn small loadout-apply-btn" data-result-index="${index}">Apply</button></td>
+        </tr>`).join('');
+    ui.loadoutItemValuesBody.innerHTML = itemValues.length
+        ? itemValues.map(({ item, damage, worth }) => `
+            <tr>
+                <td>${item.name}</td>
+                <td>${formatCodeToName(item.slot)}</td>
+                <td class="optimizer-skills">${formatItemStats(item)}</td>
+                <td>${damage.toFixed(1)}</td>
+                <td class="${worth > 0 ? 'verdict-conclusive' : 'verdict-inconclusive'}">${worth >= 0 ? '+' : ''}${worth.toFixed(1)}</td>
+            </tr>`).join('')
+        : '<tr><td colspan="5">No owned items yet.</td></tr>';
+    ui.loadoutResults.classList.remove('hidden');
+}
+
+/**
+ * Shows the roll quality of the equipped and owned items, what an average roll deals and how likely a fresh item beats each one
+ * @param {Array<object>} analyses - Each item's analysis (see analyzeItemRoll) with where it is (equipped or owned)
+ * @param {number} computeTimeMs - Time spent scoring the items
+ */
+export function showRollQualityResults(analyses, computeTimeMs) {
+    ui.rollQualityTimeDisplay.textContent = `${computeTimeMs.toFixed(0)} ms`;
+    ui.rollQualityResultsBody.innerHTML = analyses.map(analysis => `
+        <tr>
+            <td>${analysis.item.name}</td>
+            <td>${analysis.owned ? 'Owned' : 'Equipped'} ${formatCodeToName(analysis.slot)}</td>
+            <td class="optimizer-skills">${formatItemStats(analysis.item)}</td>
+            <td>${formatRollQuality(analysis.stats, analysis.quality)}</td>
+            <td>${analysis.damage.toFixed(1)}</td>
+            <td>${analysis.averageRoll.damage.toFixed(1)}</td>
+            <td class="${analysis.beatProbability >= 0.5 ? 'verdict-conclusive' : 'verdict-inconclusive'}">${(analysis.beatProbability * 100).toFixed(1)}% <span class="optimizer-skills">of ${analysis.rollCount.toLocaleString()} rolls</span></td>
+        </tr>`).join('');
+    ui.rollQualityResults.classList.remove('hidden');
+}
+
+/**
+ * Shows what each candidate item changes over the item equipped in its slot: stats, damage per hit, damage per fight
+ * and the lowest value of each of its stats at which it is still an upgrade
+ * @param {Array<object>} upgrades - The evaluator's output (see evaluateItemUpgrades)
+ */
+export function showUpgradeResults(upgrades) {
+    const signed = (value, digits = 1) => `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`;
+    const formatStatChanges = (stats) => {
+        const changed = stats.filter(({ delta }) => delta !== 0);
+        return changed.length
+            ? changed.map(({ stat, before, after, delta }) => `${formatCodeToName(stat)}: ${formatSkillValue(stat, before)} → ${formatSkillValue(stat, after)} (${signed(delta)})`).join('<br>')
+            : 'No stat changes';
+    };
+    const formatBreakEvens = (breakEvens) => breakEvens.some(({ breakEven }) => breakEven === null)
+        ? 'Never better'
+        : breakEvens.map(({ stat, value, breakEven }) => `${formatCodeToName(stat)} ≥ ${breakEven} (has ${value})`).join('<br>');
+
+    ui.upgradeResultsBody.innerHTML = upgrades.map(upgrade => `
+        <tr>
+            <td>${upgrade.item.name}<br><span class="optimizer-skills">${formatItemStats(upgrade.item)}</span></td>
+            <td>${upgrade.currentItem ? `${upgrade.currentItem.name}<br><span class="optimizer-skills">${formatItemStats(upgrade.currentItem)}</span>` : `Empty ${formatCodeToName(upgrade.slot)}`}</td>
+            <td class="optimizer-skills">${formatStatChanges(upgrade.stats)}</td>
+            <td>${signed(upgrade.damagePerHitDelta)}</td>
+            <td class="${upgrade.damageDelta > 0 ? 'verdict-conclusive' : 'verdict-inconclusive'}">${signed(upgrade.damageDelta)} <span class="optimizer-skills">(${upgrade.candidate.exact ? '' : '≈'}${upgrade.candidate.damage.toFixed(1)})</span></td>
+            <td class="optimizer-skills">${formatBreakEvens(upgrade.breakEvens)}</td>
+        </tr>`).join('');
+    ui.upgradeResults.classList.remove('hidden');
+}
+
+/**
+ * Builds a price input for each raw material and product, filled with the saved prices
+ * @param {Array<string>} materials - Raw material codes
+ * @param {Array<string>} products - Product codes
+ * @param {object} prices - Saved prices (see calculateProductCost)
+ */
+export function renderPriceInputs(materials, products, prices) {
+    const priceInput = (kind, code, placeholder) => `
+        <div class="config-group">
+            <label for="price-${kind}-${code}">${formatCodeToName(code)}:</label>
+            <input type="number" id="price-${kind}-${code}" class="config-select" min="0" step="0.01" placeholder="${placeholder}"
+                data-price-kind="${kind}" data-price-code="${code}" value="${prices[kind]?.[code] ?? ''}">
+        </div>`;
+    ui.materialPrices.innerHTML = materials.map(code => priceInput('materials', code, '0')).join('');
+    ui.productPrices.innerHTML = products.map(code => priceInput('products', code, 'Produce')).join('');
+    ui.productionPointPriceInput.value = prices.productionPoint ?? '';
+}
+
+/**
+ * Builds a units-per-fight input for each ammo and pill type in a simulation panel's stock
+ * @param {HTMLElement} container - The panel's stock inputs
+ * @param {Array<string>} ammoTypes - Ammo codes
+ * @param {Array<string>} pillTypes - Pill codes
+ */
+export function renderStockInputs(container, ammoTypes, pillTypes) {
+    const stockInput = (kind, code) => `
+        <div class="config-group">
+            <label for="${container.id}-${code}">${formatCodeToName(code)}:</label>
+            <input type="number" id="${container.id}-${code}" class="config-select" min="0" step="1" placeholder="0"
+                data-stock-kind="${kind}" data-stock-code="${code}">
+        </div>`;
+    container.innerHTML = [
+        ...ammoTypes.map(code => stockInput('ammo', code)),
+        ...pillTypes.map(code => stockInput('pills', code))
+    ].join('');
+}
+
+/**
+ * Adds a units-per-fight input for each food type to a simulation panel's food inventory, after its eating order
+ * @param {HTMLElement} container - The panel's food inventory
+ * @param {Array<string>} foodTypes - Food codes
+ */
+export function renderFoodInventoryInputs(container, foodTypes) {
+    container.insertAdjacentHTML('beforeend', foodTypes.map(code => `
+        <div class="config-group">
+            <label for="${container.id}-${code}">${formatCodeToName(code)}:</label>
+            <input type="number" id="${container.id}-${code}" class="config-select" min="0" step="1" placeholder="0"
+                data-food-code="${code}">
+        </div>`).join(''));
+}
+
+/**
+ * Shows the cost per fight and damage per currency unit of each ammo type (and of no ammo)
+ * @param {Array<object>} rows - Each ammo option's fight (damage) and cost (see calculateFightCost)
+ * @param {object} setup - The pill and food (or food inventory) of the fights, and the ammo currently used
+ */
+export function showAmmoCostComparison(rows, { pillCode, foodCode, foodInventory, currentAmmoCode }) {
+    const formatPrice = (value) => value.toFixed(2);
+    const formatConsumption = (items) => items.length
+        ? items.map(({ code, units, unitCost }) => `${formatCodeToName(code)}: ${units.toFixed(1)} × ${formatPrice(unitCost)}`).join('<br>')
+        : 'Nothing';
+    const bestValue = Math.max(...rows.map(({ cost }) => cost.damagePerCurrency ?? -Infinity));
+
+    ui.ammoCostPillDisplay.textContent = pillCode ? formatCodeToName(pillCode) : 'None';
+    ui.ammoCostFoodDisplay.textContent = foodInventory ? 'Food inventory' : formatCodeToName(foodCode);
+    ui.ammoCostResultsBody.innerHTML = rows.map(({ ammoCode, damage, cost }) => `
+        <tr>
+            <td>${ammoCode ? formatCodeToName(ammoCode) : 'No Ammo'}${ammoCode === currentAmmoCode ? ' <span class="optimizer-skills">(current)</span>' : ''}</td>
+            <td>${damage.toFixed(1)}</td>
+            <td class="optimizer-skills">${formatConsumption(cost.items)}</td>
+            <td>${formatPrice(cost.total)}</td>
+            <td class="${cost.damagePerCurrency !== null && cost.damagePerCurrency === bestValue ? 'verdict-conclusive' : ''}">${cost.damagePerCurrency !== null ? cost.damagePerCurrency.toFixed(1) : 'Free'}</td>
+        </tr>`).join('');
+    const unpriced = [...new Set(rows.flatMap(({ cost }) => cost.unpriced))];
+    ui.ammoCostUnpriced.textContent = `No price for ${unpriced.map(formatCodeToName).join(', ')}: counted as free.`;
+    ui.ammoCostUnpriced.classList.toggle('hidden', unpriced.length === 0);
+    ui.ammoCostResults.classList.remove('hidden');
+}
+
+/**
+ * Fills the supply planner's ammo, pill and food selects
+ * @param {object} options - The ammo, pill and food codes
+ */
+export function renderSupplyOptions({ ammoTypes, pillTypes, foodTypes }) {
+    const toOptions = (codes, noneLabel) => [
+        ...(noneLabel ? [`<option value="">${noneLabel}</option>`] : []),
+        ...codes.map(code => `<option value="${code}">${formatCodeToName(code)}</option>`)
+    ].join('');
+    ui.supplyAmmoSelect.innerHTML = toOptions(ammoTypes, 'No Ammo');
+    ui.supplyPillSelect.innerHTML = toOptions(pillTypes, 'No Pill');
+    ui.supplyFoodSelect.innerHTML = toOptions(foodTypes);
+}
+
+/**
+ * Shows the products, raw materials and production points needed for the planned fights
+ * @param {object} bill - The bill of materials (see calculateBillOfMaterials)
+ * @param {number} damagePerFight - The simulated mean damage per fight
+ */
+export function showSupplyPlan({ fights, products, materials, productionPoints }, damagePerFight) {
+    ui.supplyFightsDisplay.textContent = fights.toLocaleString();
+    ui.supplyDamageDisplay.textContent = (fights * damagePerFight).toLocaleString(undefined, { maximumFractionDigits: 0 });
+    ui.supplyPointsDisplay.textContent = productionPoints.toLocaleString();
+    ui.supplyProductsBody.innerHTML = products.length
+        ? products.map(product => `
+            <tr>
+                <td>${formatCodeToName(product.code)}</td>
+                <td>${product.unitsPerFight.toFixed(1)}</td>
+                <td>${product.units.toLocaleString()}</td>
+                <td>${product.productionPoints.toLocaleString()}</td>
+            </tr>`).join('')
+        : '<tr><td colspan="4">These fights consume nothing.</td></tr>';
+    ui.supplyMaterialsBody.innerHTML = materials.length
+        ? materials.map(({ code, amount }) => `
+            <tr>
+                <td>${formatCodeToName(code)}</td>
+                <td>${amount.toLocaleString()}</td>
+            </tr>`).join('')
+        : '<tr><td colspan="2">No raw materials needed.</td></tr>';
+    ui.supplyResults.classList.remove('hidden');
+}
+
 /**
  * Shows single build analysis results
  */
@@ -946,9 +1878,14 @@ function createComparisonChart(buildAResults, buildBResults) {
 }
 
 /**
- * Creates a distribution chart for single build analysis
+ * Creates a distribution chart from the empirical histogram of a Monte Carlo analysis
+ * @param {object} results - Monte Carlo analysis (see runMonteCarloSimulation)
+ * @param {object} [options]
+ * @param {string} [options.metric] - 'damage' or 'hits'
+ * @param {boolean} [options.cumulative] - Plots the CDF instead of the histogram
  */
-function createDistributionChart(results) {
+function createDistributionChart(results, { metric = 'damage', cumulative = false } = {}) {
+    if (!ui.distributionChart) return;
     const ctx = ui.distributionChart.getContext('2d');
     
     // Clear previous chart
@@ -956,35 +1893,36 @@ function createDistributionChart(results) {
         window.distributionChart.destroy();
     }
     
-    // Generate distribution data points
-    const min = results.damageStats.min;
-    const max = results.damageStats.max;
-    const mean = results.damageStats.mean;
-    const stdDev = results.damageStats.stdDev;
+    const stats = metric === 'hits' ? results.ticksStats : results.damageStats;
+    const metricLabel = metric === 'hits' ? 'Hits' : 'Damage';
+    // Results saved before histograms were kept have nothing to plot
+    if (!stats.histogram) return;
+    const { start, binWidth, counts } = stats.histogram;
+    const total = counts.reduce((acc, count) => acc + count, 0);
+    const isDiscrete = Number.isInteger(start) && Number.isInteger(binWidth);
     
-    // Create data points for the bell curve
-    const dataPoints = [];
-    const step = (max - min) / 50;
-    
-    for (let i = 0; i <= 50; i++) {
-        const x = min + i * step;
-        const y = Math.exp(-Math.pow((x - mean) / stdDev, 2) / 2) / (stdDev * Math.sqrt(2 * Math.PI));
-        dataPoints.push({ x: x, y: y });
-    }
-    
-    // Normalize y values for better visualization
-    const maxY = Math.max(...dataPoints.map(p => p.y));
-    const normalizedData = dataPoints.map(p => ({ x: p.x, y: (p.y / maxY) * 100 }));
+    // One label per bin, e.g. "21" for single-value bins or "5343-5628"
+    const labels = counts.map((_, bin) => {
+        const from = start + bin * binWidth;
+        if (isDiscrete) return binWidth === 1 ? `${from}` : `${from}-${from + binWidth - 1}`;
+        return `${from.toFixed(0)}-${(from + binWidth).toFixed(0)}`;
+    });
+    let cumulativeCount = 0;
+    const values = counts.map(count => {
+        cumulativeCount += count;
+        return ((cumulative ? cumulativeCount : count) / total) * 100;
+    });
     
     const data = {
+        labels,
         datasets: [{
-            label: 'Damage Distribution',
-            data: normalizedData,
+            label: cumulative ? `${metricLabel} CDF` : `${metricLabel} Distribution`,
+            data: values,
             borderColor: 'rgba(59, 130, 246, 1)',
-            backgroundColor: 'rgba(59, 130, 246, 0.1)',
-            borderWidth: 3,
-            fill: true,
-            tension: 0.4,
+            backgroundColor: cumulative ? 'rgba(59, 130, 246, 0.1)' : 'rgba(59, 130, 246, 0.6)',
+            borderWidth: cumulative ? 3 : 1,
+            fill: cumulative,
+            stepped: cumulative ? 'after' : false,
             pointRadius: 0,
             pointHoverRadius: 6,
             pointHoverBackgroundColor: 'rgba(59, 130, 246, 1)',
@@ -994,7 +1932,7 @@ function createDistributionChart(results) {
     };
 
     const config = {
-        type: 'line',
+        type: cumulative ? 'line' : 'bar',
         data: data,
         options: {
             responsive: true,
@@ -1012,21 +1950,21 @@ function createDistributionChart(results) {
                     cornerRadius: 8,
                     callbacks: {
                         title: function(context) {
-                            return `Damage: ${context[0].parsed.x.toFixed(1)}`;
+                            return `${metricLabel}: ${context[0].label}`;
                         },
                         label: function(context) {
-                            return `Frequency: ${context.parsed.y.toFixed(1)}%`;
+                            return cumulative
+                                ? `At or below: ${context.parsed.y.toFixed(1)}%`
+                                : `Frequency: ${context.parsed.y.toFixed(1)}% (${counts[context.dataIndex]} runs)`;
                         }
                     }
                 }
             },
             scales: {
                 x: {
-                    type: 'linear',
-                    position: 'bottom',
                     title: {
                         display: true,
-                        text: 'Damage',
+                        text: `${metricLabel} (mean ${stats.mean.toFixed(1)} · median ${stats.median.toFixed(1)})`,
                         color: '#ffffff',
                         font: {
                             size: 14,
@@ -1044,9 +1982,11 @@ function createDistributionChart(results) {
                     }
                 },
                 y: {
+                    beginAtZero: true,
+                    max: cumulative ? 100 : undefined,
                     title: {
                         display: true,
-                        text: 'Frequency (%)',
+                        text: cumulative ? 'Cumulative (%)' : 'Frequency (%)',
                         color: '#ffffff',
                         font: {
                             size: 14,
@@ -1077,33 +2017,15 @@ function createDistributionChart(results) {
 
     // Create the chart
     window.distributionChart = new Chart(ctx, config);
-    
-    // Add mean line annotation
-    const meanLine = {
-        type: 'line',
-        mode: 'vertical',
-        scaleID: 'x',
-        value: mean,
-        borderColor: 'rgba(239, 68, 68, 1)',
-        borderWidth: 2,
-        borderDash: [5, 5],
-        label: {
-            content: `Mean: ${mean.toFixed(1)}`,
-            enabled: true,
-            position: 'top',
-            color: '#ffffff',
-            font: {
-                size: 12,
-                weight: 'bold'
-            }
-        }
-    };
-    
-    window.distributionChart.options.plugins.annotation = {
-        annotations: {
-            meanLine: meanLine
-        }
-    };
-    
-    window.distributionChart.update();
+}
+
+/**
+ * Plots the last full combat analysis with the metric and view picked next to the chart
+ */
+export function renderFullSimulationDistribution() {
+    if (!playerState.lastFullSimulationResult) return;
+    createDistributionChart(playerState.lastFullSimulationResult, {
+        metric: ui.distributionMetricSelect?.value,
+        cumulative: ui.distributionCdfToggle?.checked
+    });
 }
\ No newline at end of file